@@ -0,0 +1,119 @@
+import * as THREE from 'three'
+import { blockTypes } from './blocks.js'
+
+// Texture atlas for block faces. Tiles are square PNGs named after the tile names in
+// the block registry: textures/<name>.png by default, or files of the same name in a
+// resource pack the player uploads (any folder layout, only the file name counts).
+//
+// Each tile sits in the middle of a power-of-two cell twice its size, with its edge
+// pixels extruded into the border. Cells line up with mip texels, so down to the
+// level where a whole cell is one texel, sampling never mixes neighboring tiles; the
+// shader (chunkMesh.js) stops at that level.
+//
+// Cell 0 is plain white and stands in for faces without a texture.
+
+const DEFAULT_TILES = new URL('../textures/', import.meta.url)
+const FACES         = ['top', 'side', 'bottom'] // order of mesher.js tile map entries
+
+// Every tile name some block face asks for
+function tileNames() {
+  const names = new Set()
+  for (const type of blockTypes()) {
+    for (const name of Object.values(type.textures)) if (name) names.add(name)
+  }
+  return [...names]
+}
+
+// Tiles from the built-in textures folder; missing files are left out
+export async function loadDefaultTiles() {
+  const images = new Map()
+  await Promise.all(tileNames().map(async name => {
+    try {
+      const res = await fetch(new URL(`${name}.png`, DEFAULT_TILES))
+      if (res.ok) images.set(name, await createImageBitmap(await res.blob()))
+    } catch (err) {
+      console.warn(`Could not load texture "${name}"`, err)
+    }
+  }))
+  return images
+}
+
+// Tiles from an uploaded resource pack (a FileList or array of Files)
+export async function loadResourcePack(files) {
+  const wanted = new Set(tileNames())
+  const images = new Map()
+  await Promise.all([...files].map(async file => {
+    const name = file.name.replace(/\.png$/i, '')
+    if (name === file.name || !wanted.has(name)) return
+    try {
+      images.set(name, await createImageBitmap(file))
+    } catch (err) {
+      console.warn(`Could not read texture "${file.name}"`, err)
+    }
+  }))
+  return images
+}
+
+function nextPowerOfTwo(n) {
+  return 2 ** Math.ceil(Math.log2(Math.max(1, n)))
+}
+
+// images: Map of tile name -> ImageBitmap (or anything drawImage takes).
+// Returns { texture, layout, tileMap }: layout describes the cell grid for the shader,
+// tileMap is the mesher's block face -> tile lookup (see mesher.setTileMap).
+export function buildAtlas(images) {
+  // Everything is scaled to the largest tile, at least 16px and a power of two
+  let tile = 16
+  for (const image of images.values()) tile = Math.max(tile, nextPowerOfTwo(image.width))
+  const pad     = tile / 2
+  const cell    = tile + 2 * pad
+  const names   = [...images.keys()]
+  const columns = Math.ceil(Math.sqrt(names.length + 1))
+  const size    = nextPowerOfTwo(columns * cell)
+
+  const canvas  = document.createElement('canvas')
+  canvas.width  = size
+  canvas.height = size
+  const ctx = canvas.getContext('2d')
+  ctx.imageSmoothingEnabled = false
+
+  ctx.fillStyle = '#fff'
+  ctx.fillRect(0, 0, cell, cell)
+
+  const tileIndex = new Map()
+  names.forEach((name, i) => {
+    const index = i + 1
+    const image = images.get(name)
+    const x     = (index % columns) * cell + pad
+    const y     = Math.floor(index / columns) * cell + pad
+    // Tall images (animation strips) use their first frame
+    const w = image.width
+    const h = Math.min(image.height, image.width)
+
+    ctx.drawImage(image, 0, 0, w, h, x, y, tile, tile)
+    // Extrude the edges into the padding: sides, then corners
+    ctx.drawImage(image, 0,     0,     1, h, x - pad,  y,        pad,  tile)
+    ctx.drawImage(image, w - 1, 0,     1, h, x + tile, y,        pad,  tile)
+    ctx.drawImage(image, 0,     0,     w, 1, x,        y - pad,  tile, pad)
+    ctx.drawImage(image, 0,     h - 1, w, 1, x,        y + tile, tile, pad)
+    ctx.drawImage(image, 0,     0,     1, 1, x - pad,  y - pad,  pad,  pad)
+    ctx.drawImage(image, w - 1, 0,     1, 1, x + tile, y - pad,  pad,  pad)
+    ctx.drawImage(image, 0,     h - 1, 1, 1, x - pad,  y + tile, pad,  pad)
+    ctx.drawImage(image, w - 1, h - 1, 1, 1, x + tile, y + tile, pad,  pad)
+    tileIndex.set(name, index)
+  })
+
+  const tileMap = new Uint16Array(256 * 3)
+  for (const type of blockTypes()) {
+    FACES.forEach((face, f) => {
+      tileMap[type.id * 3 + f] = tileIndex.get(type.textures[face]) ?? 0
+    })
+  }
+
+  const texture = new THREE.CanvasTexture(canvas)
+  texture.flipY     = false // rows counted from the top, as drawn
+  texture.magFilter = THREE.NearestFilter
+  texture.minFilter = THREE.NearestMipmapLinearFilter
+
+  return { texture, layout: { columns, cell, pad, tile, size }, tileMap }
+}
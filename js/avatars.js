@@ -0,0 +1,111 @@
+import * as THREE from 'three'
+
+// Other players in a multiplayer world: a body, a head that looks where they look,
+// and their name overhead. Positions arrive from the server a few times a second;
+// each avatar is drawn a little in the past, between the two updates around that
+// moment, so it moves smoothly instead of jumping from one update to the next.
+
+const INTERP_DELAY = 100 // ms avatars are drawn behind the newest update
+const MAX_UPDATES  = 20  // kept per avatar; only the ones around the drawn moment matter
+
+const BODY_WIDTH  = 0.5
+const BODY_HEIGHT = 1.2
+const HEAD_SIZE   = 0.45
+
+const bodyGeometry = new THREE.BoxGeometry(BODY_WIDTH, BODY_HEIGHT, BODY_WIDTH * 0.6).translate(0, BODY_HEIGHT / 2, 0)
+const headGeometry = new THREE.BoxGeometry(HEAD_SIZE, HEAD_SIZE, HEAD_SIZE).translate(0, HEAD_SIZE / 2, 0)
+const faceMaterial = new THREE.MeshLambertMaterial({ color: 0xe0b48a })
+
+function nameTag(name) {
+  const canvas = document.createElement('canvas')
+  canvas.width  = 256
+  canvas.height = 48
+  const ctx = canvas.getContext('2d')
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.45)'
+  ctx.fillRect(0, 0, canvas.width, canvas.height)
+  ctx.font         = '28px sans-serif'
+  ctx.fillStyle    = 'white'
+  ctx.textAlign    = 'center'
+  ctx.textBaseline = 'middle'
+  ctx.fillText(name, canvas.width / 2, canvas.height / 2)
+
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthWrite: false }))
+  sprite.scale.set(1.6, 0.3, 1)
+  sprite.position.y = BODY_HEIGHT + HEAD_SIZE + 0.35
+  return sprite
+}
+
+// Shortest way round from angle a to b, so a turn through ±π doesn't spin the long way
+function lerpAngle(a, b, t) {
+  const d = ((b - a + Math.PI) % (Math.PI * 2) + Math.PI * 2) % (Math.PI * 2) - Math.PI
+  return a + d * t
+}
+
+export class Avatars {
+  constructor(scene) {
+    this.scene   = scene
+    this.avatars = new Map() // player id -> { name, group, head, body, tag, updates: [{ time, x, y, z, yaw, pitch }] }
+  }
+
+  nameOf(id) {
+    return this.avatars.get(id)?.name ?? null
+  }
+
+  add(id, name) {
+    this.remove(id)
+    // Each player gets their own shirt color
+    const shirt = new THREE.MeshLambertMaterial({ color: new THREE.Color().setHSL((id * 0.618) % 1, 0.55, 0.5) })
+    const body  = new THREE.Mesh(bodyGeometry, shirt)
+    const head  = new THREE.Mesh(headGeometry, faceMaterial)
+    const tag   = nameTag(name)
+    head.position.y = BODY_HEIGHT
+    const group = new THREE.Group()
+    group.add(body, head, tag)
+    group.visible = false // until its first position arrives
+    this.scene.add(group)
+    this.avatars.set(id, { name, group, head, body, tag, updates: [] })
+  }
+
+  remove(id) {
+    const avatar = this.avatars.get(id)
+    if (!avatar) return
+    this.scene.remove(avatar.group)
+    avatar.body.material.dispose()
+    avatar.tag.material.map.dispose()
+    avatar.tag.material.dispose()
+    this.avatars.delete(id)
+  }
+
+  clear() {
+    for (const id of [...this.avatars.keys()]) this.remove(id)
+  }
+
+  // A position update from the server; x, y, z are the player's feet
+  push(id, x, y, z, yaw, pitch) {
+    const avatar = this.avatars.get(id)
+    if (!avatar) return
+    avatar.updates.push({ time: performance.now(), x, y, z, yaw, pitch })
+    if (avatar.updates.length > MAX_UPDATES) avatar.updates.shift()
+  }
+
+  // Call every frame
+  update(now = performance.now()) {
+    const time = now - INTERP_DELAY
+    for (const { group, head, updates } of this.avatars.values()) {
+      if (updates.length === 0) continue
+      group.visible = true
+
+      // The last update at or before `time`, and the one after it; past the newest
+      // one (a late or lost update) the avatar waits there
+      let i = updates.length - 1
+      while (i > 0 && updates[i].time > time) i--
+      const a = updates[i]
+      const b = updates[i + 1] ?? a
+      const t = b === a ? 0 : Math.min(1, Math.max(0, (time - a.time) / (b.time - a.time)))
+
+      group.position.set(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t, a.z + (b.z - a.z) * t)
+      group.rotation.y = lerpAngle(a.yaw, b.yaw, t)
+      head.rotation.x  = a.pitch + (b.pitch - a.pitch) * t
+    }
+  }
+}
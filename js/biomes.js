@@ -0,0 +1,99 @@
+import { BLOCKS } from './blocks.js'
+
+// Land biomes live at a point in (temperature, humidity) space; a column takes the
+// biome whose point is nearest to its climate. Beach and ocean are decided by height
+// instead, after the land biome has shaped the terrain.
+//
+//   offset, amplitude — height above the continental base: offset + hills * amplitude,
+//                       with hills in [0, 1]. Blended across nearby biomes (see below).
+//   surface, subsurface, depth — top block and the `depth` blocks beneath it
+//   wetSurface — optional top block under water; biomes with one keep their shallow
+//                water instead of turning into beach and ocean
+//   trees  — chance per column of a tree, and which tree type (see terrain.js)
+export const BIOMES = {
+  plains: {
+    name: 'Plains', temperature: 0.05, humidity: -0.15,
+    offset: 1, amplitude: 6,
+    surface: BLOCKS.GRASS, subsurface: BLOCKS.DIRT, depth: 4,
+    treeDensity: 0.01, tree: 'oak',
+  },
+  forest: {
+    name: 'Forest', temperature: -0.05, humidity: 0.2,
+    offset: 2, amplitude: 12,
+    surface: BLOCKS.GRASS, subsurface: BLOCKS.DIRT, depth: 4,
+    treeDensity: 0.1, tree: 'oak',
+  },
+  desert: {
+    name: 'Desert', temperature: 0.3, humidity: -0.25,
+    offset: 2, amplitude: 5,
+    surface: BLOCKS.SAND, subsurface: BLOCKS.SANDSTONE, depth: 5,
+    treeDensity: 0.008, tree: 'cactus',
+  },
+  snowyMountains: {
+    name: 'Snowy Mountains', temperature: -0.3, humidity: 0,
+    offset: 4, amplitude: 30,
+    surface: BLOCKS.SNOW, subsurface: BLOCKS.STONE, depth: 2,
+    treeDensity: 0.03, tree: 'spruce',
+  },
+  swamp: {
+    name: 'Swamp', temperature: 0.25, humidity: 0.25,
+    offset: 0, amplitude: 3,
+    surface: BLOCKS.GRASS, subsurface: BLOCKS.DIRT, depth: 3, wetSurface: BLOCKS.DIRT,
+    treeDensity: 0.05, tree: 'swamp',
+  },
+  beach: {
+    name: 'Beach',
+    surface: BLOCKS.SAND, subsurface: BLOCKS.SAND, depth: 3,
+    treeDensity: 0, tree: null,
+  },
+  ocean: {
+    name: 'Ocean',
+    surface: BLOCKS.SAND, subsurface: BLOCKS.SAND, depth: 3,
+    treeDensity: 0, tree: null,
+  },
+}
+
+const LAND_BIOMES = Object.values(BIOMES).filter(b => b.temperature !== undefined)
+
+export const MAX_TREE_DENSITY = Math.max(...LAND_BIOMES.map(b => b.treeDensity))
+
+// Below this temperature beaches are gravel and the sea surface freezes
+export const FREEZING = -0.2
+
+// Width of the blend between neighboring biomes, in climate units
+const BLEND = 0.08
+
+export function climateAt(gen, wx, wz) {
+  return {
+    temperature: gen.temperature.octaves(wx, wz, 2, 0.5, 0.0015),
+    humidity:    gen.humidity.octaves(wx, wz, 2, 0.5, 0.0017),
+  }
+}
+
+// Nearest land biome, plus the shape parameters averaged over all biomes with
+// Gaussian weights in climate space. The averages vary smoothly as the climate does,
+// so heights never jump where the nearest biome changes.
+export function sampleBiomes(gen, wx, wz) {
+  const { temperature, humidity } = climateAt(gen, wx, wz)
+
+  let nearest = null, nearestD2 = Infinity
+  let offset = 0, amplitude = 0, total = 0
+  for (const biome of LAND_BIOMES) {
+    const dt = temperature - biome.temperature
+    const dh = humidity    - biome.humidity
+    const d2 = dt * dt + dh * dh
+    if (d2 < nearestD2) { nearest = biome; nearestD2 = d2 }
+
+    const w = Math.exp(-d2 / (BLEND * BLEND))
+    offset    += biome.offset    * w
+    amplitude += biome.amplitude * w
+    total     += w
+  }
+
+  return {
+    biome: nearest,
+    temperature,
+    offset:    offset / total,
+    amplitude: amplitude / total,
+  }
+}
@@ -0,0 +1,217 @@
+// Block registry: the one place that knows what each block type is. Every subsystem
+// (terrain, mesher, lighting, physics, HUD) reads from here, and plugins add their
+// own types with registerBlock() at startup (see plugins.js).
+//
+// A block type is {
+//   id          — stored in chunk data and saves, so it must never change; 0–255
+//   name        — snake_case key, also exposed as BLOCKS.NAME_IN_CAPS
+//   label       — shown to the player (default: name in title case)
+//   colors      — { top, side, bottom } as 0xRRGGBB, or `color` for all three.
+//                 Used for faces without a texture.
+//   textures    — { top, side, bottom } tile names, or `texture` for all three; each
+//                 is textures/<name>.png or the same file in a resource pack (atlas.js)
+//   solid       — collides with the player (default true)
+//   transparent — faces of neighboring blocks are drawn against it (default false)
+//   liquid      — can be swum in; its surface sits slightly below the block top
+//   fluid       — for liquids, the id of the still (source) block of their kind
+//                 (default: their own id); flowing blocks name their source's
+//   level       — for flowing liquids, how far from a source they've spread, 1–7
+//                 (default 0, a source); see ticks.js
+//   falls       — drops down while there's air or liquid under it (default false)
+//   breakable   — can be mined (default true)
+//   hardness    — seconds of digging to break it, 0 breaks on click (default 1)
+//   drops       — item id left behind when broken in survival, null for nothing
+//                 (default: the block itself)
+//   light       — light given off, 0–15 (default 0)
+//   opacity     — extra light lost passing through it, 15 blocks light entirely
+//                 (default 0 if transparent, else 15)
+//   hotbar      — part of the starting creative hotbar, in registration order
+// }
+
+export const BLOCKS = {} // NAME -> id
+
+const TYPES = new Array(256).fill(null)
+
+// Flat lookup tables for the hot loops (meshing, lighting, collision)
+const SOLID       = new Uint8Array(256)
+const TRANSPARENT = new Uint8Array(256)
+const LIQUID      = new Uint8Array(256)
+export const LIGHT_EMISSION = new Uint8Array(256)
+export const LIGHT_OPACITY  = new Uint8Array(256)
+const FLUID      = new Uint8Array(256)
+const FLOW_LEVEL = new Uint8Array(256)
+const FLOWING    = new Int16Array(256 * 8).fill(-1) // fluid * 8 + level -> id
+
+export const MAX_FLOW_LEVEL = 7
+
+function titleCase(name) {
+  return name.split('_').map(w => w[0].toUpperCase() + w.slice(1)).join(' ')
+}
+
+export function registerBlock(def) {
+  const { id, name } = def
+  if (!Number.isInteger(id) || id < 0 || id > 255) {
+    throw new Error(`Block "${name}": id must be an integer from 0 to 255`)
+  }
+  if (TYPES[id]) {
+    throw new Error(`Block "${name}": id ${id} is already taken by "${TYPES[id].name}"`)
+  }
+  const level = def.level ?? 0
+  if (!Number.isInteger(level) || level < 0 || level > MAX_FLOW_LEVEL) {
+    throw new Error(`Block "${name}": level must be an integer from 0 to ${MAX_FLOW_LEVEL}`)
+  }
+
+  const color       = def.color ?? 0xff00ff
+  const texture     = def.texture ?? null
+  const transparent = def.transparent ?? false
+  const type = {
+    label:     titleCase(name),
+    colors:    { top: color, side: color, bottom: color },
+    textures:  { top: texture, side: texture, bottom: texture },
+    solid:     true,
+    liquid:    false,
+    breakable: true,
+    hardness:  1,
+    light:     0,
+    opacity:   transparent ? 0 : 15,
+    hotbar:    false,
+    drops:     id,
+    falls:     false,
+    ...def,
+    transparent,
+    level,
+  }
+  type.fluid = type.liquid ? def.fluid ?? id : 0
+
+  TYPES[id]                  = type
+  BLOCKS[name.toUpperCase()] = id
+  SOLID[id]          = type.solid ? 1 : 0
+  TRANSPARENT[id]    = type.transparent ? 1 : 0
+  LIQUID[id]         = type.liquid ? 1 : 0
+  LIGHT_EMISSION[id] = type.light
+  LIGHT_OPACITY[id]  = type.opacity
+  FLUID[id]          = type.fluid
+  FLOW_LEVEL[id]     = level
+  if (type.liquid) FLOWING[type.fluid * 8 + level] = id
+  return id
+}
+
+// Definition for an id, or null for unregistered ids (and -1, "outside the world")
+export function getBlockType(id) {
+  return TYPES[id] ?? null
+}
+
+export function isSolid(id) {
+  return SOLID[id] === 1
+}
+
+export function isTransparent(id) {
+  return TRANSPARENT[id] === 1
+}
+
+export function isLiquid(id) {
+  return LIQUID[id] === 1
+}
+
+// Id of the still block of a liquid's kind (water for flowing water), 0 for anything
+// that isn't a liquid
+export function fluidOf(id) {
+  return FLUID[id] ?? 0
+}
+
+// How far a flowing liquid has spread, 0 for sources and everything else
+export function flowLevel(id) {
+  return FLOW_LEVEL[id] ?? 0
+}
+
+// The block of liquid `fluid` at flow `level`, or null if it doesn't flow that far
+export function flowingBlock(fluid, level) {
+  if (level > MAX_FLOW_LEVEL) return null
+  const id = FLOWING[fluid * 8 + level]
+  return id < 0 ? null : id
+}
+
+// Height of a liquid's surface within its block when there's none of its kind above:
+// a little under the top for a source, lower the further a flowing one has spread
+export function liquidSurface(id) {
+  return 0.9 * (8 - flowLevel(id)) / 8
+}
+
+export function isBreakable(id) {
+  return TYPES[id]?.breakable ?? false
+}
+
+// Every registered block type, in id order
+export function blockTypes() {
+  return TYPES.filter(type => type !== null)
+}
+
+// Ids for the starting creative hotbar, in order
+export function hotbarBlocks() {
+  return blockTypes().filter(type => type.hotbar).map(type => type.id)
+}
+
+// --- Built-in blocks ---
+
+registerBlock({ id: 0, name: 'air', solid: false, transparent: true, breakable: false })
+
+registerBlock({
+  id: 1, name: 'grass', hardness: 0.6, drops: 2, hotbar: true,
+  colors:   { top: 0x5a9e32, side: 0x7a5c3a, bottom: 0x7a5c3a },
+  textures: { top: 'grass_top', side: 'grass_side', bottom: 'dirt' },
+})
+registerBlock({ id: 2, name: 'dirt', hardness: 0.5, hotbar: true, color: 0x7a5c3a, texture: 'dirt' })
+registerBlock({ id: 3, name: 'stone', hardness: 1.5, hotbar: true, color: 0x888888, texture: 'stone' })
+registerBlock({
+  id: 4, name: 'wood', hardness: 1.2, hotbar: true, color: 0x5c4a1e,
+  textures: { top: 'wood_top', side: 'wood_side', bottom: 'wood_top' },
+})
+registerBlock({
+  id: 5, name: 'leaves', hardness: 0.2, drops: null, hotbar: true,
+  color: 0x2d6e1e, texture: 'leaves', opacity: 1,
+})
+registerBlock({ id: 6, name: 'sand', hardness: 0.5, hotbar: true, falls: true, color: 0xe2d98a, texture: 'sand' })
+registerBlock({
+  id: 7, name: 'water', color: 0x3a6eaa, texture: 'water',
+  solid: false, transparent: true, liquid: true, breakable: false, opacity: 2,
+})
+registerBlock({
+  id: 8, name: 'snow', hardness: 0.2,
+  colors:   { top: 0xf4f8fb, side: 0xdfe6ea, bottom: 0xdfe6ea },
+  textures: { top: 'snow', side: 'snow_side', bottom: 'dirt' },
+})
+registerBlock({ id: 9, name: 'ice', hardness: 0.5, drops: null, color: 0x9ec3ee, texture: 'ice', opacity: 1 })
+registerBlock({
+  id: 10, name: 'cactus', hardness: 0.4,
+  colors:   { top: 0x5f9a3a, side: 0x3f7a24, bottom: 0x5f9a3a },
+  textures: { top: 'cactus_top', side: 'cactus_side', bottom: 'cactus_top' },
+})
+registerBlock({ id: 11, name: 'gravel', hardness: 0.6, falls: true, color: 0x857b77, texture: 'gravel' })
+registerBlock({
+  id: 12, name: 'sandstone', hardness: 0.8,
+  colors:   { top: 0xd9cc86, side: 0xcbb878, bottom: 0xd9cc86 },
+  textures: { top: 'sandstone_top', side: 'sandstone_side', bottom: 'sandstone_top' },
+})
+registerBlock({
+  id: 13, name: 'spruce_leaves', hardness: 0.2, drops: null,
+  color: 0x2f4f2f, texture: 'spruce_leaves', opacity: 1,
+})
+registerBlock({
+  id: 14, name: 'torch', hardness: 0, hotbar: true, texture: 'torch', light: 14, opacity: 0,
+  colors: { top: 0xffd36b, side: 0xc98f3a, bottom: 0x6b4a22 },
+})
+registerBlock({ id: 15, name: 'glowstone', hardness: 0.3, hotbar: true, color: 0xf2d27a, texture: 'glowstone', light: 15 })
+registerBlock({
+  id: 16, name: 'lava', texture: 'lava',
+  colors: { top: 0xe0661a, side: 0xd4570f, bottom: 0xd4570f },
+  solid: false, liquid: true, breakable: false, light: 15,
+})
+
+// Water spreading from a source, one block per level (see ticks.js)
+for (let level = 1; level <= MAX_FLOW_LEVEL; level++) {
+  registerBlock({
+    id: 16 + level, name: `flowing_water_${level}`, label: 'Flowing Water', color: 0x3a6eaa, texture: 'water',
+    solid: false, transparent: true, liquid: true, breakable: false, opacity: 2, drops: null,
+    fluid: 7, level,
+  })
+}
@@ -0,0 +1,343 @@
+import * as THREE from 'three'
+import { BLOCKS, getBlockType } from './blocks.js'
+import { CHUNK_SIZE } from './chunk.js'
+import { registerCommand, parseBlock, blockNames, requireLoaded, FILL_LIMIT } from './commands.js'
+
+// Builder tools: select a box of blocks with two clicks and copy, cut, paste, rotate,
+// mirror, fill or replace it. The region operations are plain functions over a World
+// so scripts can use them too; each runs as one transaction, so Ctrl+Z undoes it.
+//
+// A clipboard is { size: [sx, sy, sz], data: Uint8Array } with blocks in x-fastest,
+// then z, then y order.
+
+// --- Region operations ---
+
+// Reading is cheap, so copies may be much larger than edits; every edited block
+// costs a lighting update
+const COPY_LIMIT  = 1 << 22 // blocks one copy may hold
+const PASTE_LIMIT = 1 << 18 // non-air blocks one paste may place
+
+// min/max: inclusive corners, { x, y, z }
+function volumeOf(min, max) {
+  return (max.x - min.x + 1) * (max.y - min.y + 1) * (max.z - min.z + 1)
+}
+
+function checkRegion(world, min, max, limit) {
+  const volume = volumeOf(min, max)
+  if (volume > limit) throw new Error(`That's ${volume} blocks; the limit is ${limit}`)
+  requireLoaded(world, min.x, min.z, max.x, max.z)
+}
+
+export function copyRegion(world, min, max) {
+  checkRegion(world, min, max, COPY_LIMIT)
+  const sx = max.x - min.x + 1, sy = max.y - min.y + 1, sz = max.z - min.z + 1
+  const data = new Uint8Array(sx * sy * sz)
+  let i = 0
+  for (let y = 0; y < sy; y++) {
+    for (let z = 0; z < sz; z++) {
+      for (let x = 0; x < sx; x++) data[i++] = Math.max(0, world.getBlockWorld(min.x + x, min.y + y, min.z + z))
+    }
+  }
+  return { size: [sx, sy, sz], data }
+}
+
+// Set every block in the region to `block`; with `only`, just the blocks of that type.
+// Returns the transaction.
+export function fillRegion(world, min, max, block, only = null, label = 'fill') {
+  checkRegion(world, min, max, FILL_LIMIT)
+  return world.transaction(label, () => {
+    for (let y = min.y; y <= max.y; y++) {
+      for (let z = min.z; z <= max.z; z++) {
+        for (let x = min.x; x <= max.x; x++) {
+          if (only === null || world.getBlockWorld(x, y, z) === only) world.setBlockWorld(x, y, z, block)
+        }
+      }
+    }
+  })
+}
+
+// Place a clipboard with its min corner at `at`, loading any chunks it reaches into.
+// Air in the clipboard is left out, so a pasted structure doesn't carve into whatever
+// is around it.
+export function pasteClipboard(world, clipboard, at, label = 'paste') {
+  const [sx, sy, sz] = clipboard.size
+  const blocks = clipboard.data.reduce((n, block) => (block === BLOCKS.AIR ? n : n + 1), 0)
+  if (blocks > PASTE_LIMIT) throw new Error(`That's ${blocks} blocks; the limit is ${PASTE_LIMIT}`)
+  for (let cx = Math.floor(at.x / CHUNK_SIZE); cx <= Math.floor((at.x + sx - 1) / CHUNK_SIZE); cx++) {
+    for (let cz = Math.floor(at.z / CHUNK_SIZE); cz <= Math.floor((at.z + sz - 1) / CHUNK_SIZE); cz++) {
+      world.loadChunk(cx, cz)
+      if (!world.getChunk(cx, cz)) throw new Error('Part of that area is still loading; try again in a moment')
+    }
+  }
+  return world.transaction(label, () => {
+    let i = 0
+    for (let y = 0; y < sy; y++) {
+      for (let z = 0; z < sz; z++) {
+        for (let x = 0; x < sx; x++) {
+          const block = clipboard.data[i++]
+          if (block !== BLOCKS.AIR) world.setBlockWorld(at.x + x, at.y + y, at.z + z, block)
+        }
+      }
+    }
+  })
+}
+
+// Rebuild a clipboard of size [sx, sy, sz] by asking, for each cell of the result,
+// which cell of the source it comes from
+function remap(clipboard, size, source) {
+  const [sx, sy, sz] = size
+  const data = new Uint8Array(sx * sy * sz)
+  const [ox, , oz] = clipboard.size
+  let i = 0
+  for (let y = 0; y < sy; y++) {
+    for (let z = 0; z < sz; z++) {
+      for (let x = 0; x < sx; x++) {
+        const [fx, fz] = source(x, z)
+        data[i++] = clipboard.data[fx + ox * (fz + oz * y)]
+      }
+    }
+  }
+  return { size, data }
+}
+
+// Quarter turns clockwise as seen from above (north, -z, turns to east, +x)
+export function rotateClipboard(clipboard, turns) {
+  turns = ((turns % 4) + 4) % 4
+  for (let t = 0; t < turns; t++) {
+    const [sx, sy, sz] = clipboard.size
+    // The result's x runs along the source's z, backwards; its z along the source's x
+    clipboard = remap(clipboard, [sz, sy, sx], (x, z) => [z, sz - 1 - x])
+  }
+  return clipboard
+}
+
+// axis: 'x' flips east/west, 'z' flips north/south
+export function mirrorClipboard(clipboard, axis) {
+  const [sx, , sz] = clipboard.size
+  return remap(clipboard, clipboard.size, axis === 'x' ? (x, z) => [sx - 1 - x, z] : (x, z) => [x, sz - 1 - z])
+}
+
+// --- Builder tool ---
+
+export class Builder {
+  constructor(scene, player) {
+    this.player    = player
+    this.active    = false
+    this.corners   = [null, null] // { x, y, z } of the two picked blocks
+    this.clipboard = null         // kept across worlds
+    this.onMessage = () => {}     // (text) => void, e.g. print to the console
+
+    // The selection: a translucent box with an outline, a hair larger than the blocks
+    this.outline = new THREE.Group()
+    this.outline.visible = false
+    const geometry = new THREE.BoxGeometry(1, 1, 1).translate(0.5, 0.5, 0.5)
+    this.outline.add(new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+      color: 0x4fc3f7, transparent: true, opacity: 0.15, depthWrite: false,
+    })))
+    this.outline.add(new THREE.LineSegments(
+      new THREE.EdgesGeometry(geometry),
+      new THREE.LineBasicMaterial({ color: 0x4fc3f7 })
+    ))
+    scene.add(this.outline)
+
+    // B toggles the tool; while it's on, Ctrl+C / Ctrl+X / Ctrl+V copy, cut and
+    // paste, and F fills the selection with the selected hotbar block
+    document.addEventListener('keydown', e => {
+      if (!document.pointerLockElement || e.repeat) return
+      if (e.code === 'KeyB' && !e.ctrlKey) {
+        this.report(() => this.toggle())
+        return
+      }
+      if (!this.active) return
+      const ctrl = e.ctrlKey || e.metaKey
+      if (ctrl && e.code === 'KeyC') this.report(() => this.copy())
+      if (ctrl && e.code === 'KeyX') this.report(() => this.cut())
+      if (ctrl && e.code === 'KeyV') this.report(() => this.paste())
+      if (!ctrl && e.code === 'KeyF') this.report(() => this.fill(this.player.selectedBlock))
+    })
+  }
+
+  // Run an action and show its result or error
+  report(action) {
+    try {
+      const message = action()
+      if (message) this.onMessage(message)
+    } catch (err) {
+      this.onMessage(err.message)
+    }
+  }
+
+  toggle() {
+    if (!this.active && this.player.gameMode !== 'creative') throw new Error('The builder tool only works in creative mode')
+    this.active      = !this.active
+    this.player.tool = this.active ? this : null
+    return this.active
+      ? 'Builder on: left/right click pick the corners, B to leave'
+      : 'Builder off'
+  }
+
+  // Called from Player's mouse handling while the tool is active
+  primary(target) {
+    if (target) this.report(() => this.setCorner(0, target.hit))
+  }
+
+  secondary(target) {
+    if (target) this.report(() => this.setCorner(1, target.hit))
+  }
+
+  setCorner(index, { x, y, z }) {
+    this.corners[index] = { x, y, z }
+    const selection = this.selection
+    return `Corner ${index + 1} at ${x}, ${y}, ${z}` +
+      (selection ? ` (${volumeOf(selection.min, selection.max)} blocks selected)` : '')
+  }
+
+  clearSelection() {
+    this.corners = [null, null]
+  }
+
+  // { min, max } inclusive, or null until both corners are picked
+  get selection() {
+    const [a, b] = this.corners
+    if (!a || !b) return null
+    return {
+      min: { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), z: Math.min(a.z, b.z) },
+      max: { x: Math.max(a.x, b.x), y: Math.max(a.y, b.y), z: Math.max(a.z, b.z) },
+    }
+  }
+
+  _requireSelection() {
+    const selection = this.selection
+    if (!selection) throw new Error('Select a box first: left and right click its corners with the builder tool (B)')
+    return selection
+  }
+
+  copy() {
+    const { min, max } = this._requireSelection()
+    this.clipboard = copyRegion(this.player.world, min, max)
+    return `Copied ${this.clipboard.data.length} blocks`
+  }
+
+  cut() {
+    const { min, max } = this._requireSelection()
+    this.clipboard = copyRegion(this.player.world, min, max)
+    fillRegion(this.player.world, min, max, BLOCKS.AIR, null, 'cut')
+    return `Cut ${this.clipboard.data.length} blocks`
+  }
+
+  // Onto the face of the block under the crosshair
+  paste() {
+    if (!this.clipboard) throw new Error('Nothing copied yet')
+    if (!this.player.target) throw new Error('Look at a block to paste onto')
+    const tx = pasteClipboard(this.player.world, this.clipboard, this.player.target.before)
+    return `Pasted ${tx.size} blocks`
+  }
+
+  rotate(turns) {
+    if (!this.clipboard) throw new Error('Nothing copied yet')
+    this.clipboard = rotateClipboard(this.clipboard, turns)
+    return `Rotated the copy by ${turns * 90}°`
+  }
+
+  mirror(axis) {
+    if (!this.clipboard) throw new Error('Nothing copied yet')
+    this.clipboard = mirrorClipboard(this.clipboard, axis)
+    return `Mirrored the copy along ${axis}`
+  }
+
+  fill(block) {
+    const { min, max } = this._requireSelection()
+    if (block === undefined) throw new Error('Select a block in the hotbar to fill with')
+    const tx = fillRegion(this.player.world, min, max, block)
+    return `Filled ${tx.size} blocks with ${getBlockType(block).label}`
+  }
+
+  replace(from, to) {
+    const { min, max } = this._requireSelection()
+    const tx = fillRegion(this.player.world, min, max, to, from, 'replace')
+    return `Replaced ${tx.size} ${getBlockType(from).label} with ${getBlockType(to).label}`
+  }
+
+  // Call every frame: leaves the tool outside creative, and redraws the selection
+  update() {
+    if (this.active && this.player.gameMode !== 'creative') this.report(() => this.toggle())
+    const [a, b] = this.corners
+    this.outline.visible = this.active && a !== null && b !== null
+    if (!this.outline.visible) return
+    this.outline.position.set(Math.min(a.x, b.x) - 0.01, Math.min(a.y, b.y) - 0.01, Math.min(a.z, b.z) - 0.01)
+    this.outline.scale.set(Math.abs(a.x - b.x) + 1.02, Math.abs(a.y - b.y) + 1.02, Math.abs(a.z - b.z) + 1.02)
+  }
+}
+
+// --- Commands ---
+// Same operations from the console; ctx.builder is the Builder (see main.js)
+
+registerCommand({
+  name: 'copy',
+  help: 'Copy the builder selection',
+  run: (args, { builder }) => builder.copy(),
+})
+
+registerCommand({
+  name: 'cut',
+  help: 'Copy the builder selection and clear it to air',
+  run: (args, { builder }) => builder.cut(),
+})
+
+registerCommand({
+  name: 'paste',
+  help: 'Paste the copy onto the block you are looking at (air is left out)',
+  run: (args, { builder }) => builder.paste(),
+})
+
+registerCommand({
+  name: 'rotate',
+  usage: '[90|180|270]',
+  help: 'Turn the copy clockwise around the vertical axis',
+  run([degrees = '90'], { builder }) {
+    if (!['90', '180', '270'].includes(degrees)) throw new Error('Rotate by 90, 180 or 270 degrees')
+    return builder.rotate(Number(degrees) / 90)
+  },
+  complete: index => (index === 0 ? ['90', '180', '270'] : []),
+})
+
+registerCommand({
+  name: 'mirror',
+  usage: '<x|z>',
+  help: 'Flip the copy east–west (x) or north–south (z)',
+  run([axis], { builder }) {
+    if (axis !== 'x' && axis !== 'z') throw new Error('Usage: /mirror <x|z>')
+    return builder.mirror(axis)
+  },
+  complete: index => (index === 0 ? ['x', 'z'] : []),
+})
+
+registerCommand({
+  name: 'set',
+  usage: '[block]',
+  help: 'Fill the builder selection with a block (default: the one in your hand)',
+  run([block], { builder, player }) {
+    return builder.fill(block === undefined ? player.selectedBlock : parseBlock(block))
+  },
+  complete: index => (index === 0 ? blockNames() : []),
+})
+
+registerCommand({
+  name: 'replace',
+  usage: '<from> <to>',
+  help: 'Replace one block type with another inside the builder selection',
+  run(args, { builder }) {
+    if (args.length !== 2) throw new Error('Usage: /replace <from> <to>')
+    return builder.replace(parseBlock(args[0]), parseBlock(args[1]))
+  },
+  complete: index => (index < 2 ? blockNames() : []),
+})
+
+registerCommand({
+  name: 'deselect',
+  help: 'Clear the builder selection',
+  run(args, { builder }) {
+    builder.clearSelection()
+    return 'Selection cleared'
+  },
+})
@@ -0,0 +1,143 @@
+import * as THREE from 'three'
+import { PAD_XZ, PAD_Y, fillPaddedVolume, fillPaddedLight, meshChunk } from './mesher.js'
+
+// Three.js side of chunk meshing: turns mesher output into chunk.mesh (opaque blocks)
+// and chunk.waterMesh (translucent, drawn after every opaque mesh)
+
+// Reused for every build
+const volume = new Uint8Array(PAD_XZ * PAD_Y * PAD_XZ)
+const light  = new Uint8Array(PAD_XZ * PAD_Y * PAD_XZ)
+
+// Atlas sampling, patched into the Lambert shaders in place of the usual map lookup.
+// Each vertex carries its block-unit UV and atlas tile; the UV repeats per block via
+// fract(), and the gradients come from the unwrapped UV so the seams between blocks
+// don't jump to the smallest mip. The mip level is capped at one texel per cell, see
+// atlas.js. Vertex colors (shade, occlusion, untextured block colors) multiply in, and
+// so does the brighter of the vertex's sky light, scaled by `daylight`, and block light.
+const atlasUniforms = {
+  atlas:       { value: null },
+  atlasLayout: { value: new THREE.Vector4(1, 1, 0, 1) }, // columns, cell, pad, tile (texels)
+  atlasSize:   { value: 1 },
+  daylight:    { value: 1 }, // sky light scale, see setDaylight
+}
+
+const ATLAS_VERTEX = /* glsl */`
+attribute vec2 blockUv;
+attribute float tile;
+attribute vec2 light;
+varying vec2 vBlockUv;
+varying vec2 vLight;
+flat varying float vTile;
+`
+
+const ATLAS_FRAGMENT = /* glsl */`
+uniform sampler2D atlas;
+uniform vec4 atlasLayout;
+uniform float atlasSize;
+uniform float daylight;
+varying vec2 vBlockUv;
+varying vec2 vLight;
+flat varying float vTile;
+`
+
+const ATLAS_MAP = /* glsl */`
+{
+  float columns = atlasLayout.x;
+  float cell    = atlasLayout.y;
+  float tileId  = floor(vTile + 0.5);
+  vec2  origin  = vec2(mod(tileId, columns), floor(tileId / columns)) * cell + atlasLayout.z;
+  vec2  local   = fract(vBlockUv);
+  vec2  texel   = origin + vec2(local.x, 1.0 - local.y) * atlasLayout.w;
+
+  vec2  dx    = dFdx(vBlockUv) * atlasLayout.w / atlasSize;
+  vec2  dy    = dFdy(vBlockUv) * atlasLayout.w / atlasSize;
+  float grad  = max(length(dx), length(dy));
+  float limit = cell / atlasSize;
+  if (grad > limit) {
+    dx *= limit / grad;
+    dy *= limit / grad;
+  }
+  diffuseColor *= textureGrad(atlas, texel / atlasSize, dx, dy);
+  diffuseColor.rgb *= max(vLight.x * daylight, vLight.y);
+}
+`
+
+function useAtlas(material) {
+  material.onBeforeCompile = shader => {
+    Object.assign(shader.uniforms, atlasUniforms)
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `#include <common>\n${ATLAS_VERTEX}`)
+      .replace('#include <begin_vertex>', '#include <begin_vertex>\nvBlockUv = blockUv;\nvLight = light;\nvTile = tile;')
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `#include <common>\n${ATLAS_FRAGMENT}`)
+      .replace('#include <map_fragment>', ATLAS_MAP)
+  }
+  return material
+}
+
+// Shared by all chunks, so disposing a chunk only frees its geometry
+const opaqueMaterial = useAtlas(new THREE.MeshLambertMaterial({ vertexColors: true }))
+const waterMaterial  = useAtlas(new THREE.MeshLambertMaterial({
+  vertexColors: true,
+  transparent:  true,
+  opacity:      0.65,
+  depthWrite:   false,            // seabed and other water stay visible through it
+  side:         THREE.DoubleSide, // the surface is seen from below when swimming
+}))
+
+// atlas: from atlas.buildAtlas. Meshes need rebuilding too if the tile map changed.
+export function setAtlasTexture({ texture, layout }) {
+  atlasUniforms.atlas.value?.dispose()
+  atlasUniforms.atlas.value = texture
+  atlasUniforms.atlasLayout.value.set(layout.columns, layout.cell, layout.pad, layout.tile)
+  atlasUniforms.atlasSize.value = layout.size
+}
+
+// How much of its sky light a block face gets, 0–1: full by day, low at night.
+// Block light (torches, lava) is unaffected.
+export function setDaylight(value) {
+  atlasUniforms.daylight.value = value
+}
+
+// Synchronous path, used for edits so the change shows up the same frame
+export function buildChunkMesh(chunk, scene, getNeighborBlock, getNeighborLight, ao) {
+  fillPaddedVolume(volume, chunk, getNeighborBlock)
+  fillPaddedLight(light, chunk, getNeighborLight)
+  createChunkMesh(chunk, scene, meshChunk(volume, light, chunk.cx, chunk.cz, ao))
+}
+
+function createGeometry({ positions, normals, colors, light, uvs, tiles, indices }) {
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3))
+  geometry.setAttribute('normal',   new THREE.BufferAttribute(normals, 3))
+  geometry.setAttribute('color',    new THREE.BufferAttribute(colors, 3))
+  geometry.setAttribute('light',    new THREE.BufferAttribute(light, 2))
+  geometry.setAttribute('blockUv',  new THREE.BufferAttribute(uvs, 2))
+  geometry.setAttribute('tile',     new THREE.BufferAttribute(tiles, 1))
+  geometry.setIndex(new THREE.BufferAttribute(indices, 1))
+  return geometry
+}
+
+// meshData: { opaque, water } from meshChunk, here or in a worker
+export function createChunkMesh(chunk, scene, { opaque, water }) {
+  disposeChunkMesh(chunk, scene)
+
+  chunk.mesh = new THREE.Mesh(createGeometry(opaque), opaqueMaterial)
+  scene.add(chunk.mesh)
+
+  if (water.indices.length > 0) {
+    chunk.waterMesh = new THREE.Mesh(createGeometry(water), waterMaterial)
+    chunk.waterMesh.renderOrder = 1
+    scene.add(chunk.waterMesh)
+  }
+}
+
+export function disposeChunkMesh(chunk, scene) {
+  for (const key of ['mesh', 'waterMesh']) {
+    const mesh = chunk[key]
+    if (!mesh) continue
+    scene.remove(mesh)
+    mesh.geometry.dispose()
+    chunk[key] = null
+  }
+}
@@ -0,0 +1,56 @@
+import { Chunk } from './chunk.js'
+import { TerrainGenerator, generateChunk } from './terrain.js'
+import { meshChunk, setTileMap } from './mesher.js'
+import { Lighting } from './lighting.js'
+import { loadPlugins } from './plugins.js'
+
+// Runs terrain generation and meshing off the main thread. Each job answers with the
+// same id; typed arrays go back as transferables.
+
+let generator = null
+
+const handlers = {
+  // plugins: module URLs to import so this worker sees the same block registry
+  async init({ seed, plugins, tiles }) {
+    await loadPlugins(plugins)
+    generator = new TerrainGenerator(seed)
+    setTileMap(tiles)
+  },
+
+  // The texture atlas was rebuilt (see atlas.js)
+  tiles({ tiles }) {
+    setTileMap(tiles)
+  },
+
+  generate({ id, cx, cz }) {
+    const chunk = new Chunk(cx, cz)
+    generateChunk(generator, chunk)
+    // Light within the chunk only; the main thread stitches it to its neighbors
+    new Lighting((x, z) => (x === cx && z === cz ? chunk : null)).initChunk(chunk)
+    postMessage({ id, data: chunk.data, light: chunk.light }, [chunk.data.buffer, chunk.light.buffer])
+  },
+
+  // volume / light: padded block and light data built on the main thread
+  // (see fillPaddedVolume and fillPaddedLight); ao: ambient occlusion on or off
+  mesh({ id, cx, cz, volume, light, ao }) {
+    const { opaque, water } = meshChunk(volume, light, cx, cz, ao)
+    const transfer = []
+    for (const part of [opaque, water]) {
+      for (const array of Object.values(part)) transfer.push(array.buffer)
+    }
+    postMessage({ id, opaque, water }, transfer)
+  },
+}
+
+// Messages are handled one after another, so jobs wait for an async init to finish.
+// A failed init leaves nothing to generate with: the pool is told, and gives up.
+let queue = Promise.resolve()
+
+onmessage = e => {
+  const message = e.data
+  queue = queue.then(() => handlers[message.type](message)).catch(err => {
+    if (message.id !== undefined) postMessage({ id: message.id, error: err.message })
+    else if (message.type === 'init') postMessage({ fatal: err.message })
+    else console.error(err)
+  })
+}
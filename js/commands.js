@@ -0,0 +1,229 @@
+import { BLOCKS, getBlockType, blockTypes } from './blocks.js'
+import { CHUNK_SIZE, CHUNK_HEIGHT } from './chunk.js'
+import { MAX_STACK, HOTBAR_SIZE } from './inventory.js'
+
+// Console commands, run from the in-game console (console.js). Other modules add
+// their own with registerCommand().
+//
+// A command is {
+//   name     — typed after the slash, lowercase
+//   usage    — argument summary shown by /help, e.g. '<x> <y> <z> <block>'
+//   help     — one line on what it does
+//   run      — (args, ctx) => text to print, if any. args are the words after the
+//              name; ctx holds the game objects it may use (see main.js):
+//              { player, world, meta, builder, setGameMode, getTime?, setTime? }.
+//              Throw an Error to report a mistake; its message is shown to the player.
+//   complete — (index, args) => candidates for argument `index`, for tab completion
+// }
+
+const COMMANDS = new Map() // name -> command
+
+export const FILL_LIMIT = 32768 // blocks one edit command may change
+
+export function registerCommand(def) {
+  const { name } = def
+  if (!/^[a-z][a-z0-9_-]*$/.test(name ?? '')) {
+    throw new Error(`Command "${name}": names are lowercase letters, digits, - and _`)
+  }
+  if (COMMANDS.has(name)) throw new Error(`Command "/${name}" is already registered`)
+  COMMANDS.set(name, { usage: '', help: '', complete: () => [], ...def })
+}
+
+export function commandNames() {
+  return [...COMMANDS.keys()].sort()
+}
+
+// Run one line of input, with or without the leading slash
+export function runCommand(line, ctx) {
+  const [name, ...args] = line.trim().replace(/^\//, '').split(/\s+/)
+  const command = COMMANDS.get(name.toLowerCase())
+  if (!command) throw new Error(`Unknown command "/${name}", try /help`)
+  return command.run(args, ctx)
+}
+
+// Candidates for the last word of a partly typed line: command names for the first
+// word, then whatever the command offers for its arguments
+export function completeCommand(line) {
+  const words = line.replace(/^\//, '').split(' ')
+  const last  = words.pop().toLowerCase()
+  const candidates = words.length === 0
+    ? commandNames()
+    : COMMANDS.get(words[0].toLowerCase())?.complete(words.length - 1, words.slice(1)) ?? []
+  return candidates.filter(candidate => candidate.startsWith(last))
+}
+
+// --- Argument parsing ---
+
+// A number, or "~" / "~n" for relative to `base`
+export function parseCoord(text, base = 0) {
+  const relative = text?.startsWith('~')
+  const value    = Number(relative ? text.slice(1) || 0 : text)
+  if (!text || !Number.isFinite(value)) throw new Error(`"${text ?? ''}" is not a coordinate`)
+  return relative ? base + value : value
+}
+
+// Three coordinates relative to the player's block, as whole blocks
+function parseBlockPos(args, player) {
+  const x = Math.floor(parseCoord(args[0], Math.floor(player.pos.x)))
+  const y = Math.floor(parseCoord(args[1], Math.floor(player.pos.y)))
+  const z = Math.floor(parseCoord(args[2], Math.floor(player.pos.z)))
+  if (y < 0 || y >= CHUNK_HEIGHT) throw new Error(`y must be from 0 to ${CHUNK_HEIGHT - 1}`)
+  return { x, y, z }
+}
+
+// A block name ("stone") or id ("3")
+export function parseBlock(text) {
+  const id = /^\d+$/.test(text ?? '') ? Number(text) : BLOCKS[text?.toUpperCase()]
+  if (getBlockType(id) === null) throw new Error(`Unknown block "${text ?? ''}"`)
+  return id
+}
+
+export function blockNames() {
+  return blockTypes().map(type => type.name)
+}
+
+function parseCount(text, max) {
+  if (text === undefined) return 1
+  const count = Number(text)
+  if (!Number.isInteger(count) || count < 1 || count > max) {
+    throw new Error(`Count must be a whole number from 1 to ${max}`)
+  }
+  return count
+}
+
+// Throws unless every chunk under the x/z rectangle is loaded
+export function requireLoaded(world, x1, z1, x2 = x1, z2 = z1) {
+  for (let cx = Math.floor(x1 / CHUNK_SIZE); cx <= Math.floor(x2 / CHUNK_SIZE); cx++) {
+    for (let cz = Math.floor(z1 / CHUNK_SIZE); cz <= Math.floor(z2 / CHUNK_SIZE); cz++) {
+      if (!world.getChunk(cx, cz)) throw new Error('That area is not loaded')
+    }
+  }
+}
+
+// --- Built-in commands ---
+
+registerCommand({
+  name: 'help',
+  usage: '[command]',
+  help: 'List commands, or show how to use one',
+  run([name]) {
+    const names = name ? [name.replace(/^\//, '').toLowerCase()] : commandNames()
+    return names.map(n => {
+      const command = COMMANDS.get(n)
+      if (!command) throw new Error(`Unknown command "/${n}"`)
+      return `/${[n, command.usage].join(' ').trim()} — ${command.help}`
+    }).join('\n')
+  },
+  complete: index => (index === 0 ? commandNames() : []),
+})
+
+registerCommand({
+  name: 'tp',
+  usage: '<x> <y> <z>',
+  help: 'Teleport to a position; ~ is relative to where you are',
+  run(args, { player, world }) {
+    if (args.length !== 3) throw new Error('Usage: /tp <x> <y> <z>')
+    const x = parseCoord(args[0], player.pos.x)
+    const y = parseCoord(args[1], player.pos.y)
+    const z = parseCoord(args[2], player.pos.z)
+    world.loadAround(x, z)
+    player.pos.set(x, y, z)
+    player.vel.set(0, 0, 0)
+    return `Teleported to ${x.toFixed(1)}, ${y.toFixed(1)}, ${z.toFixed(1)}`
+  },
+})
+
+registerCommand({
+  name: 'setblock',
+  usage: '<x> <y> <z> <block>',
+  help: 'Place a block, replacing whatever is there',
+  run(args, { player, world }) {
+    if (args.length !== 4) throw new Error('Usage: /setblock <x> <y> <z> <block>')
+    const { x, y, z } = parseBlockPos(args, player)
+    const block = parseBlock(args[3])
+    requireLoaded(world, x, z)
+    world.transaction('/setblock', () => world.setBlockWorld(x, y, z, block))
+    return `Set ${x}, ${y}, ${z} to ${getBlockType(block).label}`
+  },
+  complete: index => (index === 3 ? blockNames() : []),
+})
+
+registerCommand({
+  name: 'fill',
+  usage: '<x1> <y1> <z1> <x2> <y2> <z2> <block>',
+  help: `Fill a box with one block, up to ${FILL_LIMIT} blocks at a time`,
+  run(args, { player, world }) {
+    if (args.length !== 7) throw new Error('Usage: /fill <x1> <y1> <z1> <x2> <y2> <z2> <block>')
+    const a     = parseBlockPos(args.slice(0, 3), player)
+    const b     = parseBlockPos(args.slice(3, 6), player)
+    const block = parseBlock(args[6])
+    const [x1, x2] = [Math.min(a.x, b.x), Math.max(a.x, b.x)]
+    const [y1, y2] = [Math.min(a.y, b.y), Math.max(a.y, b.y)]
+    const [z1, z2] = [Math.min(a.z, b.z), Math.max(a.z, b.z)]
+    const volume = (x2 - x1 + 1) * (y2 - y1 + 1) * (z2 - z1 + 1)
+    if (volume > FILL_LIMIT) throw new Error(`That's ${volume} blocks; /fill is limited to ${FILL_LIMIT}`)
+    requireLoaded(world, x1, z1, x2, z2)
+
+    world.transaction('/fill', () => {
+      for (let x = x1; x <= x2; x++) {
+        for (let y = y1; y <= y2; y++) {
+          for (let z = z1; z <= z2; z++) world.setBlockWorld(x, y, z, block)
+        }
+      }
+    })
+    return `Filled ${volume} blocks with ${getBlockType(block).label}`
+  },
+  complete: index => (index === 6 ? blockNames() : []),
+})
+
+registerCommand({
+  name: 'seed',
+  help: "Show the world's seed",
+  run: (args, { meta }) => `Seed: ${meta.seed}`,
+})
+
+registerCommand({
+  name: 'time',
+  usage: '[set <time>]',
+  help: 'Show or set the time of day',
+  run(args, { getTime, setTime }) {
+    if (!getTime) throw new Error('This world has no day/night cycle')
+    if (args.length === 0) return `Time: ${getTime()}`
+    if (args[0] !== 'set' || args.length !== 2) throw new Error('Usage: /time [set <time>]')
+    setTime(args[1])
+    return `Time set to ${getTime()}`
+  },
+  complete: index => [['set'], ['sunrise', 'noon', 'sunset', 'midnight']][index] ?? [],
+})
+
+registerCommand({
+  name: 'gamemode',
+  usage: '[survival|creative]',
+  help: 'Show or change the game mode of this world',
+  run([mode], { player, setGameMode }) {
+    if (mode === undefined) return `Game mode: ${player.gameMode}`
+    mode = mode.toLowerCase()
+    if (mode !== 'survival' && mode !== 'creative') throw new Error('Game mode must be survival or creative')
+    setGameMode(mode)
+    return `Game mode set to ${mode}`
+  },
+  complete: index => (index === 0 ? ['survival', 'creative'] : []),
+})
+
+registerCommand({
+  name: 'give',
+  usage: '<block> [count]',
+  help: 'Put blocks in your inventory',
+  run(args, { player }) {
+    if (args.length < 1 || args.length > 2) throw new Error('Usage: /give <block> [count]')
+    const block = parseBlock(args[0])
+    if (block === BLOCKS.AIR) throw new Error('Air is not an item')
+
+    const count    = parseCount(args[1], MAX_STACK * HOTBAR_SIZE)
+    const leftover = player.inventory.add(block, count)
+    const label    = getBlockType(block).label
+    if (leftover === count) throw new Error('Your inventory is full')
+    return `Gave ${count - leftover} ${label}` + (leftover > 0 ? ` (${leftover} didn't fit)` : '')
+  },
+  complete: index => (index === 0 ? blockNames().filter(name => name !== 'air') : []),
+})
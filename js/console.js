@@ -0,0 +1,136 @@
+import { runCommand, completeCommand } from './commands.js'
+
+// Command console overlay, opened with T or / while playing. Enter runs the line as a
+// command (commands.js) and goes back to the game; Escape closes it into the menu.
+// Tab completes the word being typed, and Up/Down step through earlier lines.
+// Output stays on screen for a few seconds after the console closes.
+
+const HISTORY_SIZE = 50
+const LINE_FADE    = 8000 // ms a line stays visible once the console is closed
+
+export class CommandConsole {
+  // context: passed to every command as ctx (see commands.js)
+  // onOpen:  () => void, e.g. to release the pointer lock
+  // onClose: (resume) => void; resume is true after Enter, false after Escape
+  constructor(root, { context, onOpen, onClose }) {
+    this.root    = root
+    this.context = context
+    this.onOpen  = onOpen
+    this.onClose = onClose
+    this.isOpen  = false
+
+    this.log   = document.createElement('div')
+    this.input = document.createElement('input')
+    this.log.className   = 'console-log'
+    this.input.className = 'console-input'
+    this.input.spellcheck = false
+    this.root.append(this.log, this.input)
+
+    this.history      = [] // earlier lines, oldest first
+    this.historyIndex = 0  // == history.length while editing a new line
+    this.draft        = '' // the new line, kept while browsing history
+
+    document.addEventListener('keydown', e => {
+      if (this.isOpen || !document.pointerLockElement) return
+      if (e.code !== 'KeyT' && e.key !== '/') return
+      e.preventDefault() // keep the key itself out of the input
+      this.open(e.key === '/' ? '/' : '')
+    })
+
+    // Keys typed here mustn't reach the player's controls
+    this.input.addEventListener('keyup', e => e.stopPropagation())
+    this.input.addEventListener('keydown', e => {
+      e.stopPropagation()
+      if (e.key === 'Enter') {
+        e.preventDefault()
+        this.submit()
+      } else if (e.key === 'Escape') {
+        e.preventDefault()
+        this.close(false)
+      } else if (e.key === 'Tab') {
+        e.preventDefault()
+        this.complete()
+      } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+        e.preventDefault()
+        this.browseHistory(e.key === 'ArrowUp' ? -1 : 1)
+      }
+    })
+  }
+
+  open(text = '') {
+    this.isOpen = true
+    this.root.classList.add('open')
+    this.input.value  = text
+    this.historyIndex = this.history.length
+    this.onOpen()
+    this.input.focus()
+  }
+
+  close(resume) {
+    this.isOpen = false
+    this.root.classList.remove('open')
+    this.input.blur()
+    this.onClose(resume)
+  }
+
+  // kind: 'info', 'error' or 'command' (an echo of what was typed)
+  print(text, kind = 'info') {
+    for (const line of String(text).split('\n')) {
+      const div = document.createElement('div')
+      div.className   = `console-line ${kind}`
+      div.textContent = line
+      this.log.appendChild(div)
+      setTimeout(() => div.classList.add('faded'), LINE_FADE)
+    }
+    while (this.log.childElementCount > 100) this.log.firstElementChild.remove()
+    this.log.scrollTop = this.log.scrollHeight
+  }
+
+  submit() {
+    const line = this.input.value.trim()
+    if (line) {
+      if (this.history.at(-1) !== line) this.history.push(line)
+      if (this.history.length > HISTORY_SIZE) this.history.shift()
+      this.execute(line)
+    }
+    this.close(true)
+  }
+
+  // Lines without a slash have no one to go to in single player, so they're only echoed
+  execute(line) {
+    if (!line.startsWith('/')) {
+      this.print(line)
+      return
+    }
+    this.print(line, 'command')
+    try {
+      const output = runCommand(line, this.context)
+      if (output) this.print(output)
+    } catch (err) {
+      this.print(err.message, 'error')
+    }
+  }
+
+  // One candidate replaces the word; several fill in what they share and get listed
+  complete() {
+    const value      = this.input.value
+    const start      = value.lastIndexOf(' ') + 1
+    const slash      = start === 0 && value.startsWith('/') ? 1 : 0
+    const candidates = completeCommand(value)
+    if (candidates.length === 0) return
+
+    let common = candidates[0]
+    for (const candidate of candidates) {
+      while (!candidate.startsWith(common)) common = common.slice(0, -1)
+    }
+    const suffix = candidates.length === 1 ? ' ' : ''
+    this.input.value = value.slice(0, start + slash) + common + suffix
+    if (candidates.length > 1) this.print(candidates.join('  '))
+  }
+
+  browseHistory(step) {
+    if (this.historyIndex === this.history.length) this.draft = this.input.value
+    this.historyIndex = Math.max(0, Math.min(this.history.length, this.historyIndex + step))
+    this.input.value  = this.history[this.historyIndex] ?? this.draft
+  }
+}
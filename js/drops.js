@@ -0,0 +1,76 @@
+import * as THREE from 'three'
+import { getBlockType } from './blocks.js'
+import { Entity } from './entity.js'
+
+// Items lying in the world, left behind by blocks broken in survival. They're
+// entities (entity.js), so they fall and collide like everything else, and go with
+// the chunks they're in; they spin in place and are pulled into the player's
+// inventory when close.
+
+const SIZE         = 0.25
+const TOSS         = 1        // most sideways speed a fresh drop is tossed at, units/s
+const TOSS_UP      = 3        // and upward speed
+const SPIN         = 1.5      // radians/s
+const PICKUP_DELAY = 0.5      // s before a fresh drop can be picked up
+const PICKUP_RANGE = 1.5      // blocks from the player's middle
+const LIFETIME     = 5 * 60   // s before an untouched drop disappears
+
+// Entity meshes stand on their position, so the cube sits on its bottom face
+const geometry  = new THREE.BoxGeometry(SIZE, SIZE, SIZE).translate(0, SIZE / 2, 0)
+const materials = new Map() // item id -> material, shared by all drops of that item
+
+function materialFor(id) {
+  if (!materials.has(id)) {
+    const color = getBlockType(id)?.colors.side ?? 0xff00ff
+    materials.set(id, new THREE.MeshLambertMaterial({ color }))
+  }
+  return materials.get(id)
+}
+
+// One item centered in block (x, y, z) with a little random toss, added to the world
+export function spawnDrop(world, id, x, y, z) {
+  const drop = new ItemDrop(id)
+  drop.pos.set(x + 0.5, y + 0.5 - SIZE / 2, z + 0.5)
+  drop.push.set((Math.random() - 0.5) * 2 * TOSS, (Math.random() - 0.5) * 2 * TOSS)
+  drop.vel.y = TOSS_UP
+  return world.entities.add(drop)
+}
+
+export class ItemDrop extends Entity {
+  constructor(id) {
+    super({ width: SIZE, height: SIZE, stepHeight: 0 })
+    this.id       = id
+    this.age      = 0
+    this.hittable = false
+    this.mesh     = new THREE.Mesh(geometry, materialFor(id))
+  }
+
+  // player: picks it up when it's close, if its inventory has room
+  think(dt, player) {
+    this.age += dt
+    this.yaw += SPIN * dt
+    if (this.age > LIFETIME) {
+      this.removed = true
+      return
+    }
+    if (this.age < PICKUP_DELAY) return
+
+    const near =
+      Math.abs(this.pos.x - player.pos.x) < PICKUP_RANGE &&
+      Math.abs(this.pos.y + SIZE / 2 - (player.pos.y + 0.9)) < PICKUP_RANGE &&
+      Math.abs(this.pos.z - player.pos.z) < PICKUP_RANGE
+    if (near && player.inventory.add(this.id, 1) === 0) this.removed = true
+  }
+
+  // Drops wait at the edge of the loaded chunks rather than go past it, where
+  // everything reads as air and the world would take them away
+  update(dt, player) {
+    const x = this.pos.x, y = this.pos.y, z = this.pos.z
+    super.update(dt, player)
+    if (this.world.isLoadedAt(this.pos.x, this.pos.z)) return
+    this.pos.set(x, y, z)
+    this.vel.set(0, 0, 0)
+    this.push.set(0, 0)
+    this.mesh.position.copy(this.pos)
+  }
+}
@@ -0,0 +1,193 @@
+import * as THREE from 'three'
+import { CHUNK_SIZE } from './chunk.js'
+import { STEP_HEIGHT, moveAndCollide, applyGravity, isInLiquid } from './physics.js'
+
+// Things other than the player that move through the world: a box with a position
+// and velocity that falls and collides with blocks the same way the player does
+// (physics.js). Subclasses steer it by setting `walk` in think(); knockback comes on
+// top of that and wears off.
+//
+// The world keeps its entities by chunk (World.entities). Unloading a chunk removes
+// the entities in it for good, as does wandering into a chunk that isn't loaded.
+
+const KNOCKBACK_DRAG = 6 // how fast knockback wears off, 1/s
+const KNOCKBACK_HOP  = 5 // upward speed a hit on the ground gives, units/s
+
+export class Entity {
+  constructor({ width, height, stepHeight = STEP_HEIGHT, health = 10 }) {
+    // Collision body for physics.js
+    this.pos        = new THREE.Vector3()
+    this.vel        = new THREE.Vector3()
+    this.width      = width
+    this.height     = height
+    this.stepHeight = stepHeight
+    this.onGround   = false
+
+    this.walk     = new THREE.Vector2() // horizontal velocity it wants, x and z, set in think()
+    this.push     = new THREE.Vector2() // knockback on top of that
+    this.yaw      = 0
+    this.health   = health
+    this.inLiquid = false
+    this.removed  = false // set to have the world drop it after this update
+    this.hittable = true  // found by Entities.raycast, so the player can hit it
+
+    this.world    = null // set by Entities.add
+    this.chunkKey = null
+    this.mesh     = null // added to the scene with the entity, placed at pos and turned to yaw
+  }
+
+  // Called every update before it moves
+  think() {}
+
+  update(dt, player) {
+    this.inLiquid = isInLiquid(this.world, this)
+    this.think(dt, player)
+
+    const drag = Math.exp(-KNOCKBACK_DRAG * dt)
+    this.push.multiplyScalar(drag)
+    this.vel.x = this.walk.x + this.push.x
+    this.vel.z = this.walk.y + this.push.y
+    applyGravity(this, dt, this.inLiquid)
+    moveAndCollide(this.world, this, dt)
+
+    if (this.mesh) {
+      this.mesh.position.copy(this.pos)
+      this.mesh.rotation.y = this.yaw
+    }
+  }
+
+  // Shove it away from (fromX, fromZ) at `strength` units/s
+  knockback(fromX, fromZ, strength) {
+    const dx = this.pos.x - fromX
+    const dz = this.pos.z - fromZ
+    const d  = Math.hypot(dx, dz) || 1
+    this.push.set(dx / d * strength, dz / d * strength)
+    if (this.onGround) this.vel.y = KNOCKBACK_HOP
+  }
+
+  // Lose health, knocked back from whoever hit it; at 0 it's removed
+  hurt(amount, fromX, fromZ, knockback = 6) {
+    this.health -= amount
+    this.knockback(fromX, fromZ, knockback)
+    if (this.health <= 0) this.removed = true
+  }
+}
+
+// Every entity in a world, by the chunk its position is in
+export class Entities {
+  constructor(world) {
+    this.world   = world
+    this.list    = []        // every entity, in the order added
+    this.byChunk = new Map() // chunk key -> Set of entities
+  }
+
+  get size() {
+    return this.list.length
+  }
+
+  add(entity) {
+    entity.world = this.world
+    this.list.push(entity)
+    this._track(entity)
+    if (entity.mesh) {
+      entity.mesh.position.copy(entity.pos)
+      entity.mesh.rotation.y = entity.yaw
+      this.world.scene.add(entity.mesh)
+    }
+    return entity
+  }
+
+  remove(entity) {
+    const i = this.list.indexOf(entity)
+    if (i < 0) return
+    this.list.splice(i, 1)
+    this._untrack(entity)
+    if (entity.mesh) this.world.scene.remove(entity.mesh)
+    entity.removed = true
+  }
+
+  // Entities in a chunk, empty if it has none
+  inChunk(cx, cz) {
+    return this.byChunk.get(this.world.chunkKey(cx, cz)) ?? new Set()
+  }
+
+  // Call every frame. player: passed on to each entity's think()
+  update(dt, player) {
+    for (let i = this.list.length - 1; i >= 0; i--) {
+      const entity = this.list[i]
+      entity.update(dt, player)
+      if (entity.removed || !this.world.isLoadedAt(entity.pos.x, entity.pos.z)) {
+        this.remove(entity)
+      } else {
+        this._track(entity)
+      }
+    }
+  }
+
+  // The chunk is going away, and its entities with it
+  unloadChunk(cx, cz) {
+    for (const entity of this.inChunk(cx, cz)) this.remove(entity)
+  }
+
+  clear() {
+    for (let i = this.list.length - 1; i >= 0; i--) this.remove(this.list[i])
+  }
+
+  // Nearest hittable entity whose box the ray from `origin` along unit vector `dir`
+  // enters within `range`, as { entity, distance }, or null
+  raycast(origin, dir, range) {
+    let nearest = null
+    for (const entity of this.list) {
+      if (!entity.hittable) continue
+      const distance = rayBox(origin, dir, entity)
+      if (distance !== null && distance <= range && (!nearest || distance < nearest.distance)) {
+        nearest = { entity, distance }
+      }
+    }
+    return nearest
+  }
+
+  // File the entity under the chunk it's in now
+  _track(entity) {
+    const key = this.world.chunkKey(Math.floor(entity.pos.x / CHUNK_SIZE), Math.floor(entity.pos.z / CHUNK_SIZE))
+    if (key === entity.chunkKey) return
+    this._untrack(entity)
+    let set = this.byChunk.get(key)
+    if (!set) {
+      set = new Set()
+      this.byChunk.set(key, set)
+    }
+    set.add(entity)
+    entity.chunkKey = key
+  }
+
+  _untrack(entity) {
+    const set = this.byChunk.get(entity.chunkKey)
+    set?.delete(entity)
+    if (set?.size === 0) this.byChunk.delete(entity.chunkKey)
+    entity.chunkKey = null
+  }
+}
+
+// Distance along the ray to where it enters the entity's box (slab test), or null
+function rayBox(origin, dir, { pos, width, height }) {
+  const w = width / 2
+  let near = 0
+  let far  = Infinity
+  for (const [o, d, min, max] of [
+    [origin.x, dir.x, pos.x - w, pos.x + w],
+    [origin.y, dir.y, pos.y, pos.y + height],
+    [origin.z, dir.z, pos.z - w, pos.z + w],
+  ]) {
+    if (d === 0) {
+      if (o < min || o > max) return null
+      continue
+    }
+    const t1 = (min - o) / d
+    const t2 = (max - o) / d
+    near = Math.max(near, Math.min(t1, t2))
+    far  = Math.min(far, Math.max(t1, t2))
+    if (near > far) return null
+  }
+  return near
+}
@@ -0,0 +1,102 @@
+import * as THREE from 'three'
+
+// Marks the block the player is looking at: a wireframe outline around it, a light
+// overlay on the face a placed block would attach to, and cracks while it's being
+// broken.
+
+const CRACK_STAGES = 8
+const CRACK_SIZE   = 16 // texture pixels per block, to match the atlas tiles
+
+// Crack textures for each stage. The cracks are random walks out from the middle,
+// generated once from a fixed seed; stage k draws the first (k + 1) / CRACK_STAGES
+// of every walk, so the cracks grow instead of jumping around.
+function createCrackTextures() {
+  let seed = 7
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647
+
+  const walks = []
+  for (let i = 0; i < 6; i++) {
+    let x = CRACK_SIZE / 2
+    let y = CRACK_SIZE / 2
+    const angle = (i / 6) * Math.PI * 2 + random()
+    const walk  = []
+    for (let step = 0; step < CRACK_SIZE; step++) {
+      x += Math.round(Math.cos(angle) + random() - 0.5)
+      y += Math.round(Math.sin(angle) + random() - 0.5)
+      walk.push([Math.max(0, Math.min(CRACK_SIZE - 1, x)), Math.max(0, Math.min(CRACK_SIZE - 1, y))])
+    }
+    walks.push(walk)
+  }
+
+  const textures = []
+  for (let stage = 0; stage < CRACK_STAGES; stage++) {
+    const canvas = document.createElement('canvas')
+    canvas.width  = CRACK_SIZE
+    canvas.height = CRACK_SIZE
+    const ctx = canvas.getContext('2d')
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)'
+    const length = Math.ceil(CRACK_SIZE * (stage + 1) / CRACK_STAGES)
+    for (const walk of walks) {
+      for (const [x, y] of walk.slice(0, length)) ctx.fillRect(x, y, 1, 1)
+    }
+    const texture = new THREE.CanvasTexture(canvas)
+    texture.magFilter = THREE.NearestFilter
+    texture.minFilter = THREE.NearestFilter
+    textures.push(texture)
+  }
+  return textures
+}
+
+export class BlockHighlight {
+  constructor(scene) {
+    this.group = new THREE.Group()
+    this.group.visible = false
+    scene.add(this.group)
+
+    // Slightly larger than the block so the lines aren't hidden inside its faces
+    this.outline = new THREE.LineSegments(
+      new THREE.EdgesGeometry(new THREE.BoxGeometry(1.004, 1.004, 1.004)),
+      new THREE.LineBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.7 })
+    )
+    this.outline.position.set(0.5, 0.5, 0.5)
+    this.group.add(this.outline)
+
+    this.face = new THREE.Mesh(
+      new THREE.PlaneGeometry(1, 1),
+      new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.2, depthWrite: false })
+    )
+    this.group.add(this.face)
+
+    this.crackTextures = createCrackTextures()
+    this.cracks = new THREE.Mesh(
+      new THREE.BoxGeometry(1.002, 1.002, 1.002),
+      new THREE.MeshBasicMaterial({ transparent: true, depthWrite: false, map: this.crackTextures[0] })
+    )
+    this.cracks.position.set(0.5, 0.5, 0.5)
+    this.group.add(this.cracks)
+
+    this._normal = new THREE.Vector3()
+    this._lookAt = new THREE.Vector3()
+  }
+
+  // target: a Player.raycast() result or null; progress: how far breaking has got, 0–1
+  update(target, progress = 0) {
+    this.group.visible = target !== null
+    if (!target) return
+
+    const { hit, before } = target
+    this.group.position.set(hit.x, hit.y, hit.z)
+
+    // The targeted face is the one between the hit block and the cell in front of it
+    this._normal.set(before.x - hit.x, before.y - hit.y, before.z - hit.z)
+    this.face.position.set(0.5, 0.5, 0.5).addScaledVector(this._normal, 0.503)
+    this._lookAt.copy(this.group.position).add(this.face.position).add(this._normal)
+    this.face.lookAt(this._lookAt)
+
+    this.cracks.visible = progress > 0
+    if (progress > 0) {
+      const stage = Math.min(CRACK_STAGES - 1, Math.floor(progress * CRACK_STAGES))
+      this.cracks.material.map = this.crackTextures[stage]
+    }
+  }
+}
@@ -0,0 +1,65 @@
+// Undoable world edits. World.transaction() records every block it changes in a
+// Transaction; finished transactions go on the world's EditHistory for undo/redo.
+
+const MAX_ENTRIES = 100     // transactions kept for undo
+const MAX_CHANGES = 500_000 // block changes kept across all of them, to bound memory
+
+export class Transaction {
+  constructor(label) {
+    this.label   = label     // shown to the player, e.g. 'break' or '/fill'
+    this.changes = new Map() // "x,y,z" -> { x, y, z, before, after }
+    this.chunks  = new Set() // "cx,cz" keys of the chunks it touched, as in World.chunks
+  }
+
+  get size() {
+    return this.changes.size
+  }
+
+  // A block changing twice keeps its first `before`; changing back drops it entirely
+  record(x, y, z, before, after, chunkKey) {
+    const key    = `${x},${y},${z}`
+    const change = this.changes.get(key)
+    if (!change) {
+      this.changes.set(key, { x, y, z, before, after })
+    } else if (change.before === after) {
+      this.changes.delete(key)
+    } else {
+      change.after = after
+    }
+    this.chunks.add(chunkKey)
+  }
+}
+
+export class EditHistory {
+  constructor() {
+    this.undoStack = []
+    this.redoStack = []
+    this.changes   = 0 // block changes across both stacks
+  }
+
+  // A new edit makes everything that was undone unreachable
+  push(tx) {
+    if (tx.size === 0) return
+    this.undoStack.push(tx)
+    this.changes += tx.size
+    for (const undone of this.redoStack) this.changes -= undone.size
+    this.redoStack = []
+    while (this.undoStack.length > MAX_ENTRIES || (this.changes > MAX_CHANGES && this.undoStack.length > 1)) {
+      this.changes -= this.undoStack.shift().size
+    }
+  }
+
+  // The transaction to revert next, moved onto the redo stack; null if there's none
+  takeUndo() {
+    const tx = this.undoStack.pop() ?? null
+    if (tx) this.redoStack.push(tx)
+    return tx
+  }
+
+  // The transaction to reapply next, moved back onto the undo stack
+  takeRedo() {
+    const tx = this.redoStack.pop() ?? null
+    if (tx) this.undoStack.push(tx)
+    return tx
+  }
+}
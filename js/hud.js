@@ -0,0 +1,100 @@
+import { getBlockType } from './blocks.js'
+import { HOTBAR_SIZE } from './inventory.js'
+import { MAX_HEALTH, MAX_BREATH } from './player.js'
+
+// On-screen hotbar: one box per slot with the item's color and stack size, the
+// selected slot outlined and its item named above the bar. Survival adds hearts and,
+// while under water, breath bubbles above it.
+
+function hexColor(color) {
+  return `#${color.toString(16).padStart(6, '0')}`
+}
+
+export class Hotbar {
+  constructor(root) {
+    this.root  = root
+    this.label = document.createElement('div')
+    this.label.className = 'hotbar-label'
+    this.root.appendChild(this.label)
+
+    this.slots = []
+    const row = document.createElement('div')
+    row.className = 'hotbar-slots'
+    for (let i = 0; i < HOTBAR_SIZE; i++) {
+      const slot   = document.createElement('div')
+      const swatch = document.createElement('div')
+      const count  = document.createElement('span')
+      slot.className   = 'hotbar-slot'
+      swatch.className = 'hotbar-swatch'
+      count.className  = 'hotbar-count'
+      slot.append(swatch, count)
+      row.appendChild(slot)
+      this.slots.push({ slot, swatch, count })
+    }
+    this.root.appendChild(row)
+  }
+
+  // showCounts: false in creative, where stacks never run out
+  update(inventory, showCounts) {
+    this.slots.forEach(({ slot, swatch, count }, i) => {
+      const stack = inventory.slots[i]
+      const type  = stack && getBlockType(stack.id)
+      slot.classList.toggle('selected', i === inventory.selected)
+      swatch.style.visibility = type ? 'visible' : 'hidden'
+      if (type) {
+        swatch.style.background = `linear-gradient(${hexColor(type.colors.top)} 35%, ${hexColor(type.colors.side)} 35%)`
+        slot.title = type.label
+      } else {
+        slot.title = ''
+      }
+      count.textContent = showCounts && stack && stack.count > 1 ? stack.count : ''
+    })
+    const selected = inventory.selectedItem
+    this.label.textContent = selected ? getBlockType(selected.id)?.label ?? 'Unknown' : ''
+  }
+}
+
+// A row of `count` icons worth two points each, so odd values end in a half icon.
+// Returns the function that sets the value.
+function iconRow(root, className, count) {
+  const icons = []
+  for (let i = 0; i < count; i++) {
+    const icon = document.createElement('span')
+    icon.className = className
+    root.appendChild(icon)
+    icons.push(icon)
+  }
+  return value => icons.forEach((icon, i) => {
+    icon.classList.toggle('full', value >= (i + 1) * 2)
+    icon.classList.toggle('half', value === i * 2 + 1)
+  })
+}
+
+export class Vitals {
+  constructor(root) {
+    this.root    = root
+    this.hearts  = document.createElement('div')
+    this.bubbles = document.createElement('div')
+    this.hearts.className  = 'vitals-hearts'
+    this.bubbles.className = 'vitals-bubbles'
+    this.root.append(this.bubbles, this.hearts)
+
+    this.setHearts  = iconRow(this.hearts, 'heart', MAX_HEALTH / 2)
+    this.setBubbles = iconRow(this.bubbles, 'bubble', MAX_BREATH / 2)
+    this.shown      = null // last drawn state, to skip unchanged frames
+  }
+
+  update(player) {
+    const survival = player.gameMode === 'survival'
+    const health   = Math.ceil(player.health)
+    const breath   = Math.ceil(player.breath)
+    const state    = `${survival},${health},${breath}`
+    if (state === this.shown) return
+    this.shown = state
+
+    this.root.hidden = !survival
+    this.setHearts(health)
+    this.setBubbles(breath)
+    this.bubbles.style.visibility = breath < MAX_BREATH ? 'visible' : 'hidden'
+  }
+}
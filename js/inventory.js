@@ -0,0 +1,78 @@
+import { BLOCKS } from './blocks.js'
+
+// Slots of item stacks, { id, count } or null. Items are block ids for now.
+
+export const HOTBAR_SIZE = 9
+export const MAX_STACK   = 64
+
+export class Inventory {
+  constructor(size = HOTBAR_SIZE) {
+    this.slots    = new Array(size).fill(null)
+    this.selected = 0
+    this.onChange = () => {} // called after every change, e.g. to redraw the HUD
+  }
+
+  get selectedItem() {
+    return this.slots[this.selected]
+  }
+
+  select(slot) {
+    const size = this.slots.length
+    this.selected = ((slot % size) + size) % size
+    this.onChange()
+  }
+
+  // Add up to `count` of an item, topping up existing stacks before filling empty
+  // slots. Returns how many didn't fit; onChange only runs if any did. Air isn't an
+  // item: adding it adds nothing.
+  add(id, count = 1) {
+    if (id === BLOCKS.AIR) return 0
+    const wanted = count
+    for (const stack of this.slots) {
+      if (count === 0) break
+      if (stack?.id !== id || stack.count >= MAX_STACK) continue
+      const moved = Math.min(count, MAX_STACK - stack.count)
+      stack.count += moved
+      count       -= moved
+    }
+    for (let i = 0; i < this.slots.length && count > 0; i++) {
+      if (this.slots[i]) continue
+      const moved = Math.min(count, MAX_STACK)
+      this.slots[i] = { id, count: moved }
+      count -= moved
+    }
+    if (count < wanted) this.onChange()
+    return count
+  }
+
+  // Take `count` items out of a slot (fewer if it holds fewer); returns how many
+  take(slot, count = 1) {
+    const stack = this.slots[slot]
+    if (!stack) return 0
+    const taken = Math.min(count, stack.count)
+    stack.count -= taken
+    if (stack.count === 0) this.slots[slot] = null
+    this.onChange()
+    return taken
+  }
+
+  // Put a stack in a slot, replacing whatever was there
+  set(slot, stack) {
+    this.slots[slot] = stack && { ...stack }
+    this.onChange()
+  }
+
+  // Serializable snapshot for WorldStore
+  getState() {
+    return { slots: this.slots.map(stack => stack && { ...stack }), selected: this.selected }
+  }
+
+  setState({ slots, selected }) {
+    this.slots.fill(null)
+    slots.slice(0, this.slots.length).forEach((stack, i) => {
+      this.slots[i] = stack && { ...stack }
+    })
+    this.selected = selected ?? 0
+    this.onChange()
+  }
+}
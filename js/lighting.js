@@ -0,0 +1,236 @@
+import { CHUNK_SIZE, CHUNK_HEIGHT } from './chunk.js'
+import { LIGHT_EMISSION, LIGHT_OPACITY } from './blocks.js'
+
+// Per-voxel light in two channels, packed into chunk.light as (sky << 4) | block.
+//
+// Skylight starts at 15 above the world and falls straight down without fading until
+// something attenuates it; block light starts at emitting blocks. Both then spread by
+// flood fill, losing 1 per step plus the opacity of the block they enter. Edits are
+// incremental: a removal pass darkens everything the old light reached, then the
+// brighter light around the dark region flows back in.
+
+export const MAX_LIGHT = 15
+
+const SKY   = 0
+const BLOCK = 1
+
+const DIRS = [
+  [1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1],
+]
+
+export class Lighting {
+  // getChunk(cx, cz) -> Chunk or null. Light never spreads into chunks it can't see;
+  // stitchChunk() lets it flow across once both sides are loaded.
+  // onChange(chunk) is called for every chunk whose light changed (possibly repeatedly).
+  constructor(getChunk, onChange = () => {}) {
+    this.getChunk = getChunk
+    this.onChange = onChange
+
+    // Lookup cache: the last chunk resolved by _locate
+    this._cx    = null
+    this._cz    = null
+    this._chunk = null
+  }
+
+  // Resolve world coordinates to a chunk, leaving the block index in this._i
+  _locate(wx, wy, wz) {
+    if (wy < 0 || wy >= CHUNK_HEIGHT) return null
+    const cx = Math.floor(wx / CHUNK_SIZE)
+    const cz = Math.floor(wz / CHUNK_SIZE)
+    if (cx !== this._cx || cz !== this._cz) {
+      this._cx    = cx
+      this._cz    = cz
+      this._chunk = this.getChunk(cx, cz)
+    }
+    if (!this._chunk) return null
+    this._i = (wx - cx * CHUNK_SIZE) + CHUNK_SIZE * (wy + CHUNK_HEIGHT * (wz - cz * CHUNK_SIZE))
+    return this._chunk
+  }
+
+  // Chunks come and go between calls, so every public entry point starts afresh
+  _forget() {
+    this._cx    = null
+    this._cz    = null
+    this._chunk = null
+  }
+
+  get(wx, wy, wz, channel) {
+    const chunk = this._locate(wx, wy, wz)
+    if (!chunk) return wy >= CHUNK_HEIGHT && channel === SKY ? MAX_LIGHT : 0
+    const v = chunk.light[this._i]
+    return channel === SKY ? v >> 4 : v & 15
+  }
+
+  _set(chunk, i, channel, level) {
+    const v = chunk.light[i]
+    chunk.light[i] = channel === SKY ? (level << 4) | (v & 15) : (v & 0xf0) | level
+    this.onChange(chunk)
+  }
+
+  // Full light for a freshly loaded chunk: skylight columns, emitters, then flood fill.
+  // Also pulls in light from whichever neighbors getChunk can see.
+  initChunk(chunk) {
+    this._forget()
+    const { data, light } = chunk
+    light.fill(0)
+    const x0 = chunk.cx * CHUNK_SIZE
+    const z0 = chunk.cz * CHUNK_SIZE
+    const skyQueue   = []
+    const blockQueue = []
+
+    for (let z = 0; z < CHUNK_SIZE; z++) {
+      for (let x = 0; x < CHUNK_SIZE; x++) {
+        // Direct skylight down to the first block that isn't fully clear;
+        // everything below that is lit by propagation
+        let sky = MAX_LIGHT
+        for (let y = CHUNK_HEIGHT - 1; y >= 0; y--) {
+          const i     = chunk.index(x, y, z)
+          const block = data[i]
+          if (LIGHT_OPACITY[block] > 0) sky = 0
+
+          const emission = LIGHT_EMISSION[block]
+          light[i] = (sky << 4) | emission
+          if (sky > 1)      skyQueue.push(x0 + x, y, z0 + z)
+          if (emission > 1) blockQueue.push(x0 + x, y, z0 + z)
+        }
+      }
+    }
+
+    this._pushBorders(chunk, skyQueue, blockQueue)
+    this._propagate(skyQueue, SKY)
+    this._propagate(blockQueue, BLOCK)
+    this.onChange(chunk)
+  }
+
+  // Exchange light across the borders of a chunk whose interior light was computed
+  // elsewhere (in a worker, without its neighbors)
+  stitchChunk(chunk) {
+    this._forget()
+    const skyQueue   = []
+    const blockQueue = []
+    this._pushBorders(chunk, skyQueue, blockQueue)
+    this._propagate(skyQueue, SKY)
+    this._propagate(blockQueue, BLOCK)
+  }
+
+  // Seed both sides of every chunk edge: this chunk's outermost voxels and the
+  // facing voxels of its neighbors. Propagation works out which way light flows.
+  _pushBorders(chunk, skyQueue, blockQueue) {
+    const x0 = chunk.cx * CHUNK_SIZE
+    const z0 = chunk.cz * CHUNK_SIZE
+    const push = (wx, wy, wz) => {
+      if (!this._locate(wx, wy, wz)) return
+      const v = this._chunk.light[this._i]
+      if ((v >> 4) > 1) skyQueue.push(wx, wy, wz)
+      if ((v & 15) > 1) blockQueue.push(wx, wy, wz)
+    }
+    for (let y = 0; y < CHUNK_HEIGHT; y++) {
+      for (let k = 0; k < CHUNK_SIZE; k++) {
+        push(x0 - 1,              y, z0 + k)
+        push(x0,                  y, z0 + k)
+        push(x0 + CHUNK_SIZE - 1, y, z0 + k)
+        push(x0 + CHUNK_SIZE,     y, z0 + k)
+        push(x0 + k, y, z0 - 1)
+        push(x0 + k, y, z0)
+        push(x0 + k, y, z0 + CHUNK_SIZE - 1)
+        push(x0 + k, y, z0 + CHUNK_SIZE)
+      }
+    }
+  }
+
+  // Flood fill from every queued position (flat x, y, z triples)
+  _propagate(queue, channel) {
+    for (let q = 0; q < queue.length; q += 3) {
+      const wx    = queue[q]
+      const wy    = queue[q + 1]
+      const wz    = queue[q + 2]
+      const level = this.get(wx, wy, wz, channel)
+      if (level <= 1) continue
+
+      for (const [dx, dy, dz] of DIRS) {
+        const nx = wx + dx
+        const ny = wy + dy
+        const nz = wz + dz
+        const chunk = this._locate(nx, ny, nz)
+        if (!chunk) continue
+        const i       = this._i
+        const opacity = LIGHT_OPACITY[chunk.data[i]]
+        if (opacity >= MAX_LIGHT) continue
+
+        // Full skylight keeps going straight down through clear blocks
+        let next = level - 1 - opacity
+        if (channel === SKY && dy === -1 && level === MAX_LIGHT && opacity === 0) next = MAX_LIGHT
+
+        const v       = chunk.light[i]
+        const current = channel === SKY ? v >> 4 : v & 15
+        if (next <= current) continue
+        this._set(chunk, i, channel, next)
+        queue.push(nx, ny, nz)
+      }
+    }
+  }
+
+  // Darken everything lit from (wx, wy, wz), returning the brighter positions at the
+  // edge of the dark region so their light can flow back in
+  _remove(wx, wy, wz, channel, refill) {
+    const chunk = this._locate(wx, wy, wz)
+    if (!chunk) return
+    const start = this.get(wx, wy, wz, channel)
+    if (start === 0) return
+    this._set(chunk, this._i, channel, 0)
+
+    const queue = [wx, wy, wz, start]
+    for (let q = 0; q < queue.length; q += 4) {
+      const x     = queue[q]
+      const y     = queue[q + 1]
+      const z     = queue[q + 2]
+      const level = queue[q + 3]
+
+      for (const [dx, dy, dz] of DIRS) {
+        const nx = x + dx
+        const ny = y + dy
+        const nz = z + dz
+        const n  = this._locate(nx, ny, nz)
+        if (!n) continue
+        const v       = n.light[this._i]
+        const current = channel === SKY ? v >> 4 : v & 15
+        if (current === 0) continue
+
+        const fedByUs = current < level ||
+          (channel === SKY && dy === -1 && level === MAX_LIGHT && current === MAX_LIGHT)
+        if (fedByUs) {
+          // Emitters keep their own light and shine back in once the removal is done
+          const own = channel === BLOCK ? LIGHT_EMISSION[n.data[this._i]] : 0
+          this._set(n, this._i, channel, own)
+          if (own > 0) refill.push(nx, ny, nz)
+          queue.push(nx, ny, nz, current)
+        } else {
+          refill.push(nx, ny, nz)
+        }
+      }
+    }
+  }
+
+  // Called after the block at (wx, wy, wz) changed to newBlock
+  update(wx, wy, wz, newBlock) {
+    this._forget()
+    const chunk = this._locate(wx, wy, wz)
+    if (!chunk) return
+
+    for (const channel of [SKY, BLOCK]) {
+      const refill = []
+      this._remove(wx, wy, wz, channel, refill)
+
+      if (channel === BLOCK && LIGHT_EMISSION[newBlock] > 0) {
+        this._locate(wx, wy, wz)
+        this._set(this._chunk, this._i, BLOCK, LIGHT_EMISSION[newBlock])
+        refill.push(wx, wy, wz)
+      }
+
+      // Let the surroundings shine into the changed block (or around it if it's opaque).
+      // Above the world counts as full skylight, see get().
+      for (const [dx, dy, dz] of DIRS) refill.push(wx + dx, wy + dy, wz + dz)
+      this._propagate(refill, channel)
+    }
+  }
+}
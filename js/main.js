@@ -1,97 +1,392 @@
 import * as THREE from 'three'
 import { World } from './world.js'
 import { Player } from './player.js'
-import { BLOCKS } from './chunk.js'
+import { getBlockType } from './blocks.js'
+import { TerrainGenerator, parseSeed } from './terrain.js'
+import { WorldStore } from './storage.js'
+import { Menu } from './menu.js'
+import { loadSettings, saveSettings } from './settings.js'
+import { loadPlugins } from './plugins.js'
+import { loadDefaultTiles, loadResourcePack, buildAtlas } from './atlas.js'
+import { setAtlasTexture } from './chunkMesh.js'
+import { setTileMap } from './mesher.js'
+import { BlockHighlight } from './highlight.js'
+import { spawnDrop } from './drops.js'
+import { Hotbar, Vitals } from './hud.js'
+import { CommandConsole } from './console.js'
+import { Builder, pasteClipboard } from './builder.js'
+import { readVox } from './vox.js'
+import { NetClient } from './net.js'
+import { Avatars } from './avatars.js'
+import { MobSpawner } from './mobs.js'
+import { Sky, START_TIME, parseTime, formatTime } from './sky.js'
 
 // --- Scene setup ---
+const WATER_COLOR = new THREE.Color(0x1d4f7c)
+
 const scene = new THREE.Scene()
-scene.background = new THREE.Color(0x87CEEB)
-scene.fog = new THREE.Fog(0x87CEEB, 60, 120)
+scene.background = new THREE.Color()
+scene.fog = new THREE.Fog(0xffffff, 60, 120) // colored by the sky
+
+// Short, blue fog while the camera is underwater
+const skyFog        = scene.fog
+const underwaterFog = new THREE.Fog(WATER_COLOR, 0.5, 24)
 
 const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000)
 
 const renderer = new THREE.WebGLRenderer({ antialias: true })
 renderer.setSize(window.innerWidth, window.innerHeight)
-renderer.shadowMap.enabled = true
-renderer.shadowMap.type = THREE.PCFSoftShadowMap
 document.body.appendChild(renderer.domElement)
 
+const settings = loadSettings()
+
 // --- Lighting ---
-const ambient = new THREE.AmbientLight(0xffffff, 0.6)
-scene.add(ambient)
-
-const sun = new THREE.DirectionalLight(0xfffbe0, 1.2)
-sun.position.set(100, 200, 100)
-sun.castShadow = true
-sun.shadow.mapSize.width  = 2048
-sun.shadow.mapSize.height = 2048
-sun.shadow.camera.near   = 0.5
-sun.shadow.camera.far    = 500
-sun.shadow.camera.left   = -100
-sun.shadow.camera.right  =  100
-sun.shadow.camera.top    =  100
-sun.shadow.camera.bottom = -100
-scene.add(sun)
+// The sun, moon and sky colors follow the time of day, which is saved with each world
+const sky = new Sky(scene, skyFog)
+sky.dayLength = settings.dayLength * 60
+
+// Plugins register their blocks before anything reads the registry
+await loadPlugins()
 
 // --- World & Player ---
-const world  = new World(scene)
-const player = new Player(camera, world)
+// The world is created from the start screen; the player persists across worlds
+let world       = null
+let worldMeta   = null // { id, name, seed, gameMode, spawnPoint, createdAt, savedAt, player, time }
+let mobs        = null // MobSpawner for the current world, none on a server
+let net         = null // NetClient while the world is a server's
+const player    = new Player(camera, null)
+const highlight = new BlockHighlight(scene) // outline and cracks on player.target
+const builder   = new Builder(scene, player) // selection tools, toggled with B
+const avatars   = new Avatars(scene)         // other players on a server
+
+// Survival leaves the block's drop behind, to be picked up again
+player.onBlockBroken = (block, x, y, z) => {
+  const item = getBlockType(block).drops
+  if (player.gameMode === 'survival' && item !== null) spawnDrop(world, item, x, y, z)
+}
+
+// --- Textures ---
+// Rebuilding the atlas remeshes the world, since tile indices change with it
+function applyAtlas(images) {
+  const atlas = buildAtlas(images)
+  setAtlasTexture(atlas)
+  setTileMap(atlas.tileMap)
+  world?.refreshTextures()
+}
+
+// Pack tiles replace the built-in ones; anything the pack lacks keeps its default
+async function applyResourcePack(files) {
+  const defaults = await loadDefaultTiles()
+  applyAtlas(files ? new Map([...defaults, ...await loadResourcePack(files)]) : defaults)
+}
+
+applyAtlas(await loadDefaultTiles())
+
+// --- Persistence ---
+const SAVE_INTERVAL = 30_000 // ms between autosaves
+
+const store = await WorldStore.open()
+
+// Saves are chained so a world switch waits for an autosave already in flight.
+// A server keeps its own world, so there's nothing to save while on one.
+let saveQueue = Promise.resolve()
+function saveWorld() {
+  saveQueue = saveQueue.then(async () => {
+    if (!world || net) return
+    const entries = world.takeDirtyChunks()
+    try {
+      await store.saveChunks(worldMeta.id, entries)
+      worldMeta = { ...worldMeta, player: player.getState(), time: sky.time, savedAt: Date.now() }
+      await store.putWorld(worldMeta)
+    } catch (err) {
+      // Keep the chunks marked so the next save retries them
+      for (const { cx, cz } of entries) world.dirty.add(world.chunkKey(cx, cz))
+      console.error('Failed to save world', err)
+    }
+  })
+  return saveQueue
+}
+
+setInterval(saveWorld, SAVE_INTERVAL)
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') saveWorld()
+})
+window.addEventListener('pagehide', saveWorld)
 
-// Pre-load spawn area before placing the player (#spawn fix)
-for (let dx = -2; dx <= 2; dx++) {
-  for (let dz = -2; dz <= 2; dz++) {
-    world.loadChunk(dx, dz)
+// Leave the current world, saving it first, or disconnecting from its server
+async function closeWorld() {
+  if (!world) return
+  await saveWorld()
+  if (net) {
+    net.onClose = () => {}
+    net.close()
+    net = null
+    avatars.clear()
   }
+  world.dispose()
+  world     = null
+  worldMeta = null
+  mobs      = null
 }
-player.spawn()
 
-// --- Pointer lock ---
-const blocker = document.getElementById('blocker')
+// Without workers nothing more loads or remeshes, so the player has to be told
+function workerFailed(err) {
+  commandConsole.print(`The world stopped loading: ${err.message}`, 'error')
+}
 
-blocker.addEventListener('click', () => {
-  document.body.requestPointerLock()
+async function openWorld(meta) {
+  await closeWorld()
+
+  const next = new World(scene, new TerrainGenerator(meta.seed), {
+    ambientOcclusion: settings.ambientOcclusion,
+  })
+  next.onWorkerError = workerFailed
+  next.loadSaved     = (cx, cz) => store.loadChunk(meta.id, cx, cz)
+
+  player.world      = next
+  player.gameMode   = meta.gameMode
+  player.spawnPoint = meta.spawnPoint ?? null
+  if (meta.player) player.setState(meta.player)
+  sky.time          = meta.time ?? START_TIME
+
+  // Pre-load the area around the player before placing them (#spawn fix);
+  // the workers take it from there
+  await next.lookUpAround(player.pos.x, player.pos.z)
+  next.loadAround(player.pos.x, player.pos.z)
+  // Saved dead, the player comes back at the spawn point like after the death screen
+  if (!meta.player || player.dead) player.respawn()
+
+  world     = next
+  worldMeta = meta
+  mobs      = new MobSpawner(next)
+  builder.clearSelection()
+  menu.setCurrentWorld(meta)
+  updateHUD()
+}
+
+async function createWorld(name, seedText, gameMode) {
+  const meta = {
+    id:        `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    seed:      parseSeed(seedText),
+    gameMode,
+    createdAt: Date.now(),
+  }
+  await store.putWorld(meta)
+  // spawn() and a fresh inventory only apply to worlds without a saved player
+  player.pos.set(0, 40, 0)
+  player.gameMode = gameMode
+  player.resetInventory()
+  await openWorld(meta)
+  saveWorld()
+}
+
+// Terrain comes from the server's seed, and the server sends every edit on top of it.
+// The player starts over at spawn with a fresh inventory, and nothing is saved locally.
+async function joinServer(url, name) {
+  let client
+  try {
+    client = await NetClient.connect(url, name)
+  } catch (err) {
+    menu.setJoinStatus(err.message)
+    document.exitPointerLock()
+    return
+  }
+  await closeWorld()
+  menu.setCurrentWorld(null)
+  if (client.closed) { // while the old world was being saved
+    menu.setJoinStatus(client.closeReason)
+    document.exitPointerLock()
+    return
+  }
+
+  const next = new World(scene, new TerrainGenerator(client.seed), {
+    ambientOcclusion: settings.ambientOcclusion,
+  })
+  next.onWorkerError = workerFailed
+  client.onPlayerJoin = (id, playerName) => {
+    avatars.add(id, playerName)
+    commandConsole.print(`${playerName} joined`)
+  }
+  client.onPlayerLeave = id => {
+    commandConsole.print(`${avatars.nameOf(id)} left`)
+    avatars.remove(id)
+  }
+  client.onPlayerMove = (id, x, y, z, yaw, pitch) => avatars.push(id, x, y, z, yaw, pitch)
+  client.onClose = async reason => {
+    await closeWorld()
+    menu.setCurrentWorld(null)
+    menu.setJoinStatus(reason)
+    deathScreen.hidden = true
+    document.exitPointerLock()
+    menu.show()
+  }
+  client.attach(next, player) // before any chunk loads, so each one asks for its edits
+
+  player.world      = next
+  player.gameMode   = client.gameMode
+  player.spawnPoint = null
+  player.pos.set(0, 40, 0)
+  player.resetInventory()
+  sky.time          = START_TIME
+  next.loadAround(player.pos.x, player.pos.z)
+  player.respawn()
+
+  world     = next
+  worldMeta = { name: url, seed: client.seed, gameMode: client.gameMode, server: url }
+  net       = client
+  builder.clearSelection()
+  menu.setCurrentWorld(worldMeta)
+  menu.setJoinStatus('')
+  updateHUD()
+}
+
+// The inventory carries over as is; creative just stops counting it down
+function setGameMode(gameMode) {
+  if (net) throw new Error('The server decides the game mode')
+  worldMeta       = { ...worldMeta, gameMode }
+  player.gameMode = gameMode
+  menu.setCurrentWorld(worldMeta)
+  updateHUD()
+  return saveWorld()
+}
+
+async function setSpawnPoint() {
+  const spawnPoint  = player.pos.toArray()
+  worldMeta         = { ...worldMeta, spawnPoint }
+  player.spawnPoint = spawnPoint
+  menu.setCurrentWorld(worldMeta)
+  await saveWorld()
+}
+
+// --- Start screen & pointer lock ---
+function applySettings() {
+  saveSettings(settings)
+  world?.setAmbientOcclusion(settings.ambientOcclusion)
+  sky.dayLength = settings.dayLength * 60
+}
+
+const menu = new Menu({
+  store,
+  settings,
+  onPlay:           openWorld,
+  onCreate:         createWorld,
+  onJoin:           joinServer,
+  onGameModeChange: setGameMode,
+  onSetSpawn:       setSpawnPoint,
+  onSettingsChange: applySettings,
+  onResourcePack:   applyResourcePack,
 })
+menu.show()
 
 document.addEventListener('pointerlockchange', () => {
-  blocker.style.display = document.pointerLockElement ? 'none' : 'flex'
+  if (document.pointerLockElement) {
+    menu.hide()
+  } else {
+    saveWorld() // pausing is a natural save point
+    if (!player.dead && !commandConsole.isOpen) menu.show()
+  }
+})
+// The browser may refuse to lock again right away; fall back to the menu
+document.addEventListener('pointerlockerror', () => {
+  if (!player.dead) menu.show()
+})
+
+// --- Command console ---
+const commandConsole = new CommandConsole(document.getElementById('console'), {
+  context: {
+    player,
+    get world() { return world },
+    get meta()  { return worldMeta },
+    builder,
+    setGameMode,
+    download,
+    getTime: () => formatTime(sky.time),
+    setTime: text => { sky.time = parseTime(text) },
+  },
+  onOpen() {
+    player.keys = {} // keys held when the console opened would otherwise stick
+    document.exitPointerLock()
+  },
+  onClose(resume) {
+    if (resume) document.body.requestPointerLock()
+    else menu.show()
+  },
 })
 
-// --- Block selection HUD (#18) ---
-const BLOCK_NAMES = {
-  [BLOCKS.GRASS]:  'Grass',
-  [BLOCKS.DIRT]:   'Dirt',
-  [BLOCKS.STONE]:  'Stone',
-  [BLOCKS.WOOD]:   'Wood',
-  [BLOCKS.LEAVES]: 'Leaves',
-  [BLOCKS.SAND]:   'Sand',
-}
-
-const hud = document.createElement('div')
-hud.style.cssText = `
-  position: fixed;
-  bottom: 48px;
-  left: 50%;
-  transform: translateX(-50%);
-  color: white;
-  font-family: monospace;
-  font-size: 15px;
-  pointer-events: none;
-  text-shadow: 1px 1px 2px black;
-  background: rgba(0,0,0,0.35);
-  padding: 4px 14px;
-  border-radius: 4px;
-`
-document.body.appendChild(hud)
+builder.onMessage = text => commandConsole.print(text)
 
-function updateHUD() {
-  hud.textContent = `Block: ${BLOCK_NAMES[player.selectedBlock] ?? 'Unknown'}  [1–6 to switch]`
+// --- .vox import / export ---
+// /export hands its file here; a .vox dropped on the page is pasted onto the block
+// under the crosshair and kept in the builder clipboard for pasting again
+function download(bytes, filename) {
+  const url  = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }))
+  const link = document.createElement('a')
+  link.href     = url
+  link.download = filename
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
 }
-updateHUD()
 
+document.addEventListener('dragover', e => e.preventDefault())
+document.addEventListener('drop', async e => {
+  e.preventDefault()
+  const file = e.dataTransfer.files[0]
+  if (!world || !file) return
+  try {
+    if (player.gameMode !== 'creative') throw new Error('Importing only works in creative mode')
+    if (!player.target) throw new Error('Look at a block to place the model on, then drop the file')
+    const clipboard = readVox(await file.arrayBuffer())
+    const tx = pasteClipboard(world, clipboard, player.target.before, 'import')
+    builder.clipboard = clipboard
+    commandConsole.print(`Imported ${file.name} (${tx.size} blocks)`)
+  } catch (err) {
+    commandConsole.print(err.message, 'error')
+  }
+})
+
+// --- Undo / redo ---
+// Ctrl+Z undoes the last edit (a break, a place, a command), Ctrl+Y or Ctrl+Shift+Z
+// redoes it. Creative only: in survival it would hand back blocks already picked up.
 document.addEventListener('keydown', e => {
-  if (e.code.startsWith('Digit')) updateHUD()
+  if (!world || !document.pointerLockElement || !(e.ctrlKey || e.metaKey)) return
+  const redo = e.code === 'KeyY' || (e.code === 'KeyZ' && e.shiftKey)
+  if (e.code !== 'KeyZ' && !redo) return
+  e.preventDefault()
+  if (player.gameMode !== 'creative') {
+    commandConsole.print('Undo only works in creative mode', 'error')
+    return
+  }
+  const tx = redo ? world.redo() : world.undo()
+  commandConsole.print(tx
+    ? `${redo ? 'Redid' : 'Undid'} ${tx.label} (${tx.size} block${tx.size === 1 ? '' : 's'})`
+    : `Nothing to ${redo ? 'redo' : 'undo'}`)
+})
+
+// --- Death screen ---
+const deathScreen = document.getElementById('death')
+
+player.onDeath = () => {
+  deathScreen.hidden = false
+  document.exitPointerLock()
+}
+
+document.getElementById('respawn').addEventListener('click', () => {
+  deathScreen.hidden = true
+  player.respawn()
+  document.body.requestPointerLock()
 })
 
+// --- Hotbar & vitals HUD (#18) ---
+const hotbar = new Hotbar(document.getElementById('hotbar'))
+const vitals = new Vitals(document.getElementById('vitals'))
+
+function updateHUD() {
+  hotbar.update(player.inventory, player.gameMode === 'survival')
+}
+player.inventory.onChange = updateHUD
+updateHUD()
+
 // --- Window resize ---
 window.addEventListener('resize', () => {
   camera.aspect = window.innerWidth / window.innerHeight
@@ -109,8 +404,23 @@ function gameLoop() {
   const dt  = Math.min((now - lastTime) / 1000, 0.05)
   lastTime  = now
 
-  player.update(dt)
-  world.update(player.pos.x, player.pos.z)
+  if (world) {
+    player.update(dt)
+    highlight.update(player.target, player.digProgress)
+    world.entities.update(dt, player)
+    mobs?.update(dt, player, sky.daylight)
+    net?.update(dt)
+    avatars.update(now)
+    builder.update()
+    vitals.update(player)
+    world.update(player.pos.x, player.pos.z, -Math.sin(player.yaw), -Math.cos(player.yaw))
+    world.ticks.update(dt)
+    sky.update(dt, player.pos, camera)
+
+    const underwater = player.isHeadInWater()
+    scene.fog = underwater ? underwaterFog : skyFog
+    scene.background.copy(underwater ? WATER_COLOR : sky.skyColor)
+  }
 
   renderer.render(scene, camera)
 }
@@ -0,0 +1,169 @@
+// Start / pause screen: lists saved worlds, creates new ones, joins servers and shows
+// the current seed.
+// Every button that starts play requests pointer lock synchronously, while the click
+// still counts as a user gesture; the world itself loads asynchronously afterwards.
+
+export class Menu {
+  constructor({
+    store, settings, onPlay, onCreate, onJoin, onGameModeChange, onSetSpawn, onSettingsChange, onResourcePack,
+  }) {
+    this.store            = store
+    this.settings         = settings         // see settings.js, changed in place
+    this.onPlay           = onPlay           // (meta) => Promise
+    this.onCreate         = onCreate         // (name, seedText, gameMode) => Promise
+    this.onJoin           = onJoin           // (url, playerName) => Promise
+    this.onGameModeChange = onGameModeChange // (gameMode) => Promise, for the current world
+    this.onSetSpawn       = onSetSpawn       // () => Promise, spawn the current world where the player is
+    this.onSettingsChange = onSettingsChange // (settings) => void
+    this.onResourcePack   = onResourcePack   // (files or null for the default textures) => Promise
+
+    this.root         = document.getElementById('menu')
+    this.list         = document.getElementById('world-list')
+    this.current      = document.getElementById('current-world')
+    this.currentName  = document.getElementById('current-name')
+    this.currentSeed  = document.getElementById('current-seed')
+    this.currentSpawn = document.getElementById('current-spawn')
+    this.form         = document.getElementById('create-world')
+    this.nameInput    = document.getElementById('world-name')
+    this.seedInput    = document.getElementById('world-seed')
+    this.modeSelect   = document.getElementById('world-mode')
+    this.modeToggle   = document.getElementById('toggle-mode')
+    this.spawnButton  = document.getElementById('set-spawn')
+    this.joinForm     = document.getElementById('join-server')
+    this.urlInput     = document.getElementById('server-url')
+    this.playerInput  = document.getElementById('player-name')
+    this.joinStatus   = document.getElementById('join-status')
+    this.aoToggle     = document.getElementById('setting-ao')
+    this.dayInput     = document.getElementById('setting-day-length')
+    this.packInput    = document.getElementById('setting-pack')
+    this.currentMeta  = null
+
+    this.aoToggle.checked = settings.ambientOcclusion
+    this.aoToggle.addEventListener('change', () => {
+      this.settings.ambientOcclusion = this.aoToggle.checked
+      this.onSettingsChange(this.settings)
+    })
+
+    this.dayInput.value = settings.dayLength
+    this.dayInput.addEventListener('change', () => {
+      const minutes = Number(this.dayInput.value)
+      if (!(minutes >= 0)) {
+        this.dayInput.value = this.settings.dayLength
+        return
+      }
+      this.settings.dayLength = minutes
+      this.onSettingsChange(this.settings)
+    })
+
+    this.packInput.addEventListener('change', () => {
+      if (this.packInput.files.length > 0) this.onResourcePack(this.packInput.files)
+      this.packInput.value = ''
+    })
+    document.getElementById('reset-pack').addEventListener('click', () => {
+      this.onResourcePack(null)
+    })
+
+    document.getElementById('resume').addEventListener('click', () => {
+      document.body.requestPointerLock()
+    })
+
+    this.spawnButton.addEventListener('click', () => {
+      this.onSetSpawn()
+    })
+
+    this.modeToggle.addEventListener('click', () => {
+      this.onGameModeChange(this.currentMeta.gameMode === 'creative' ? 'survival' : 'creative')
+    })
+
+    this.form.addEventListener('submit', e => {
+      e.preventDefault()
+      const name = this.nameInput.value.trim() || 'New World'
+      const seed = this.seedInput.value
+      this.nameInput.value = ''
+      this.seedInput.value = ''
+      document.body.requestPointerLock()
+      this.onCreate(name, seed, this.modeSelect.value)
+    })
+
+    this.urlInput.value    = settings.serverUrl
+    this.playerInput.value = settings.playerName
+    this.joinForm.addEventListener('submit', e => {
+      e.preventDefault()
+      this.settings.serverUrl  = this.urlInput.value.trim()
+      this.settings.playerName = this.playerInput.value.trim()
+      this.onSettingsChange(this.settings)
+      this.setJoinStatus('Connecting…')
+      document.body.requestPointerLock()
+      this.onJoin(this.settings.serverUrl, this.settings.playerName)
+    })
+  }
+
+  // Shown under the join form, e.g. why the last connection ended; '' hides it
+  setJoinStatus(text) {
+    this.joinStatus.hidden      = !text
+    this.joinStatus.textContent = text
+  }
+
+  show() {
+    this.root.style.display = 'flex'
+    this.refresh()
+  }
+
+  hide() {
+    this.root.style.display = 'none'
+  }
+
+  setCurrentWorld(meta) {
+    this.currentMeta = meta
+    this.current.hidden = !meta
+    if (meta) {
+      this.currentName.textContent  = meta.name
+      this.currentSeed.textContent  = meta.seed
+      this.currentSpawn.textContent = meta.spawnPoint?.map(Math.floor).join(', ') ?? 'world origin'
+      this.modeToggle.textContent   = meta.gameMode === 'creative' ? 'Switch to Survival' : 'Switch to Creative'
+      // On a server the game mode and spawn are the server's
+      this.modeToggle.hidden  = Boolean(meta.server)
+      this.spawnButton.hidden = Boolean(meta.server)
+    }
+  }
+
+  async refresh() {
+    const worlds = await this.store.listWorlds()
+    worlds.sort((a, b) => (b.savedAt ?? 0) - (a.savedAt ?? 0))
+
+    this.list.replaceChildren()
+    if (worlds.length === 0) {
+      const li = document.createElement('li')
+      li.className   = 'empty'
+      li.textContent = 'No saved worlds yet'
+      this.list.appendChild(li)
+      return
+    }
+
+    for (const meta of worlds) {
+      const li   = document.createElement('li')
+      const play = document.createElement('button')
+      play.className   = 'world-play'
+      play.textContent = `${meta.name} (${meta.gameMode}, seed ${meta.seed})`
+      play.addEventListener('click', () => {
+        document.body.requestPointerLock()
+        if (meta.id !== this.currentMeta?.id) this.onPlay(meta)
+      })
+      li.appendChild(play)
+
+      // The world being played can't be deleted out from under the player
+      if (meta.id !== this.currentMeta?.id) {
+        const del = document.createElement('button')
+        del.textContent = 'Delete'
+        del.addEventListener('click', async () => {
+          if (!confirm(`Delete "${meta.name}"? This cannot be undone.`)) return
+          await this.store.deleteWorld(meta.id)
+          this.refresh()
+        })
+        li.appendChild(del)
+      }
+
+      this.list.appendChild(li)
+    }
+  }
+}
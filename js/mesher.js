@@ -0,0 +1,328 @@
+import { CHUNK_SIZE, CHUNK_HEIGHT } from './chunk.js'
+import { BLOCKS, getBlockType, isTransparent, isLiquid, fluidOf, liquidSurface } from './blocks.js'
+
+// Greedy mesher. Works on a padded copy of the chunk (one extra block on every side,
+// so faces on the chunk border can see their neighbors), merges coplanar faces with
+// the same block, shade, light and corner occlusion into larger quads, and writes
+// straight into typed arrays.
+
+// Padded volume dimensions and indexing
+export const PAD_XZ = CHUNK_SIZE + 2
+export const PAD_Y  = CHUNK_HEIGHT + 2
+
+export function padIndex(x, y, z) {
+  return (x + 1) + PAD_XZ * ((y + 1) + PAD_Y * (z + 1))
+}
+
+// Copy the chunk into `vol` (a Uint8Array of PAD_XZ * PAD_Y * PAD_XZ) and fill the
+// border from getNeighborBlock(wx, wy, wz). Above and below the world counts as air.
+export function fillPaddedVolume(vol, chunk, getNeighborBlock) {
+  vol.fill(BLOCKS.AIR)
+  const x0 = chunk.cx * CHUNK_SIZE
+  const z0 = chunk.cz * CHUNK_SIZE
+  for (let z = -1; z <= CHUNK_SIZE; z++) {
+    for (let x = -1; x <= CHUNK_SIZE; x++) {
+      const inside = x >= 0 && x < CHUNK_SIZE && z >= 0 && z < CHUNK_SIZE
+      for (let y = 0; y < CHUNK_HEIGHT; y++) {
+        const block = inside ? chunk.data[chunk.index(x, y, z)] : getNeighborBlock(x0 + x, y, z0 + z)
+        vol[padIndex(x, y, z)] = block > 0 ? block : BLOCKS.AIR
+      }
+    }
+  }
+  return vol
+}
+
+// Same for chunk.light, from getNeighborLight(wx, wy, wz). Above the world is open sky.
+export function fillPaddedLight(vol, chunk, getNeighborLight) {
+  vol.fill(0)
+  const x0 = chunk.cx * CHUNK_SIZE
+  const z0 = chunk.cz * CHUNK_SIZE
+  for (let z = -1; z <= CHUNK_SIZE; z++) {
+    for (let x = -1; x <= CHUNK_SIZE; x++) {
+      const inside = x >= 0 && x < CHUNK_SIZE && z >= 0 && z < CHUNK_SIZE
+      for (let y = 0; y < CHUNK_HEIGHT; y++) {
+        vol[padIndex(x, y, z)] = inside ? chunk.light[chunk.index(x, y, z)] : getNeighborLight(x0 + x, y, z0 + z)
+      }
+      vol[padIndex(x, CHUNK_HEIGHT, z)] = 15 << 4
+    }
+  }
+  return vol
+}
+
+const SHADE = { top: 1.0, side: 0.75, bottom: 0.5 }
+const DIMS  = [CHUNK_SIZE, CHUNK_HEIGHT, CHUNK_SIZE]
+
+// Brightness for each light level: 0.8 per level below full, never quite black.
+// Sky and block light are written separately, so the sky part can be dimmed at night
+// without remeshing (see setDaylight in chunkMesh.js).
+const LIGHT_CURVE = Array.from({ length: 16 }, (_, l) => Math.max(0.05, Math.pow(0.8, 15 - l)))
+
+// Brightness for each ambient occlusion level, 0 = corner boxed in, 3 = open
+const AO_CURVE = [0.45, 0.6, 0.8, 1.0]
+const AO_OPEN  = 0xff // all four corners at 3
+
+// Atlas tile of each block face, indexed block * 3 + FACE_INDEX[face]. Tile 0 is plain
+// white: faces without a texture show their registry color through it. Set by the
+// page (and in workers) whenever the atlas is rebuilt, see atlas.js.
+const FACE_INDEX = { top: 0, side: 1, bottom: 2 }
+let tileMap = new Uint16Array(256 * 3)
+
+export function setTileMap(map) {
+  tileMap = map
+}
+
+export function getTileMap() {
+  return tileMap
+}
+
+// Mask keys: block type in the low byte, flags, light levels and corner occlusion above
+const KEY_LOWERED     = 1 << 8 // liquid surface block — its top edge is dropped to liquidSurface()
+const KEY_LIGHT_SHIFT = 12     // packed sky and block light, as in chunk.light
+const KEY_AO_SHIFT    = 20     // 2 bits per corner, in QuadBuffer.emit corner order
+
+// Growable typed-array quad output. One scratch instance per pass, shared by every
+// call (meshing is synchronous); finish() copies out exactly what was written.
+class QuadBuffer {
+  constructor() {
+    this.positions = new Float32Array(4 * 3 * 1024)
+    this.normals   = new Float32Array(4 * 3 * 1024)
+    this.colors    = new Float32Array(4 * 3 * 1024)
+    this.light     = new Float32Array(4 * 2 * 1024)
+    this.uvs       = new Float32Array(4 * 2 * 1024)
+    this.tiles     = new Float32Array(4 * 1024)
+    this.indices   = new Uint32Array(6 * 1024)
+    this.quads     = 0
+  }
+
+  reserve(quads) {
+    if (this.indices.length >= quads * 6) return
+    let n = this.indices.length / 6
+    while (n < quads) n *= 2
+    const grow = (arr, size) => {
+      const next = new arr.constructor(size)
+      next.set(arr)
+      return next
+    }
+    this.positions = grow(this.positions, n * 12)
+    this.normals   = grow(this.normals,   n * 12)
+    this.colors    = grow(this.colors,    n * 12)
+    this.light     = grow(this.light,     n * 8)
+    this.uvs       = grow(this.uvs,       n * 8)
+    this.tiles     = grow(this.tiles,     n * 4)
+    this.indices   = grow(this.indices,   n * 6)
+  }
+
+  // Quad corners: origin, +u, +v, +u+v. For positive faces (u × v) points along the
+  // normal, so (0,1,2)(2,1,3) is counter-clockwise seen from outside; negative faces swap.
+  // `drop` lowers the corners on the quad's top edge (y = top) by that much.
+  // `ao` holds each corner's occlusion level (2 bits, corner 0 lowest) and darkens it.
+  // sky / lamp: brightness from sky and block light, kept apart for the shader.
+  // UVs are in blocks, so the texture repeats once per block across merged quads;
+  // they're laid out so textures appear upright on sides and unmirrored from outside.
+  emit(origin, d, u, v, s, w, h, r, g, b, sky, lamp, drop, ao, tile) {
+    this.reserve(this.quads + 1)
+    const { positions, normals, colors, light, uvs, tiles, indices } = this
+    const q    = this.quads++
+    const base = q * 12
+    const top  = origin[1] + (u === 1 ? w : v === 1 ? h : 0)
+
+    for (let k = 0; k < 4; k++) {
+      const o = base + k * 3
+      positions[o]     = origin[0]
+      positions[o + 1] = origin[1]
+      positions[o + 2] = origin[2]
+      if (k & 1) positions[o + u] += w
+      if (k & 2) positions[o + v] += h
+      if (drop && positions[o + 1] === top) positions[o + 1] -= drop
+
+      normals[o] = normals[o + 1] = normals[o + 2] = 0
+      normals[o + d] = s
+
+      const x  = positions[o]
+      const y  = positions[o + 1]
+      const z  = positions[o + 2]
+      const uv = (q * 4 + k) * 2
+      if (d === 0)      { uvs[uv] = s > 0 ? -z : z; uvs[uv + 1] = y }
+      else if (d === 2) { uvs[uv] = s > 0 ? x : -x; uvs[uv + 1] = y }
+      else              { uvs[uv] = x;              uvs[uv + 1] = s > 0 ? -z : z }
+      tiles[q * 4 + k] = tile
+      light[uv]     = sky
+      light[uv + 1] = lamp
+
+      const occlusion = AO_CURVE[(ao >> (k * 2)) & 3]
+      colors[o]     = r * occlusion
+      colors[o + 1] = g * occlusion
+      colors[o + 2] = b * occlusion
+    }
+
+    // Split along the diagonal whose corners are brighter together, so a single dark
+    // corner fades out evenly instead of streaking across the quad
+    const vi = q * 4
+    const ii = q * 6
+    const a0 = ao & 3
+    const a1 = (ao >> 2) & 3
+    const a2 = (ao >> 4) & 3
+    const a3 = (ao >> 6) & 3
+    const tris = a0 + a3 > a1 + a2
+      ? [0, 1, 3, 0, 3, 2]  // diagonal 0–3
+      : [0, 1, 2, 2, 1, 3]  // diagonal 1–2
+    for (let t = 0; t < 6; t += 3) {
+      indices[ii + t]     = vi + tris[t]
+      indices[ii + t + 1] = vi + tris[s > 0 ? t + 1 : t + 2]
+      indices[ii + t + 2] = vi + tris[s > 0 ? t + 2 : t + 1]
+    }
+  }
+
+  finish() {
+    const n = this.quads
+    this.quads = 0
+    const IndexArray = n * 4 > 65536 ? Uint32Array : Uint16Array
+    return {
+      positions: this.positions.slice(0, n * 12),
+      normals:   this.normals.slice(0, n * 12),
+      colors:    this.colors.slice(0, n * 12),
+      light:     this.light.slice(0, n * 8),
+      uvs:       this.uvs.slice(0, n * 8),
+      tiles:     this.tiles.slice(0, n * 4),
+      indices:   IndexArray.from(this.indices.subarray(0, n * 6)),
+    }
+  }
+}
+
+const opaque = new QuadBuffer()
+const water  = new QuadBuffer()
+const mask   = new Int32Array(CHUNK_HEIGHT * CHUNK_SIZE) // largest slice is u×v = 64×16
+
+// Mask key of the face of `block` looking at `neighbor`, 0 if it isn't drawn.
+// Faces are drawn against transparent blocks (#water fix); liquids skip faces
+// against their own kind, flowing or not, so there are no walls inside a body of water.
+function faceKey(block, neighbor, above) {
+  if (block === BLOCKS.AIR || !isTransparent(neighbor)) return 0
+  if (isLiquid(block)) {
+    const fluid = fluidOf(block)
+    if (fluidOf(neighbor) === fluid) return 0
+    return fluidOf(above) === fluid ? block : block | KEY_LOWERED
+  }
+  return block
+}
+
+// Occlusion level of one face corner: the two blocks along the edges next to it and
+// the one diagonally across, all in the layer the face looks into (index n).
+// Both sides blocked counts as fully boxed in, whatever the diagonal is.
+function cornerAO(vol, n, side1, side2) {
+  const a = isTransparent(vol[n + side1]) ? 0 : 1
+  const b = isTransparent(vol[n + side2]) ? 0 : 1
+  if (a && b) return 0
+  const c = isTransparent(vol[n + side1 + side2]) ? 0 : 1
+  return 3 - a - b - c
+}
+
+// Packed occlusion of the four corners of a face looking into padded index n
+function faceAO(vol, n, uStep, vStep) {
+  return cornerAO(vol, n, -uStep, -vStep)
+    | cornerAO(vol, n, uStep, -vStep) << 2
+    | cornerAO(vol, n, -uStep, vStep) << 4
+    | cornerAO(vol, n, uStep, vStep) << 6
+}
+
+// Index offsets of one step along each axis in the padded volume
+const PAD_STEP = [1, PAD_XZ, PAD_XZ * PAD_Y]
+
+// vol / light: padded block and light volumes (fillPaddedVolume, fillPaddedLight).
+// ao: darken face corners next to opaque blocks (ambient occlusion); liquids never are.
+// Returns { opaque, water }, each { positions, normals, colors, light, uvs, tiles, indices }
+// sized exactly to the mesh, in world coordinates for chunk (cx, cz). Transparent blocks
+// (water) go in their own mesh so they can be drawn translucent after everything else.
+export function meshChunk(vol, light, cx, cz, ao = true) {
+  const x0 = cx * CHUNK_SIZE
+  const z0 = cz * CHUNK_SIZE
+
+  const pos    = [0, 0, 0]
+  const step   = [0, 0, 0]
+  const origin = [0, 0, 0]
+
+  for (let d = 0; d < 3; d++) {
+    const u  = (d + 1) % 3
+    const v  = (d + 2) % 3
+    const du = DIMS[u]
+    const dv = DIMS[v]
+
+    for (const s of [1, -1]) {
+      const face  = d === 1 ? (s > 0 ? 'top' : 'bottom') : 'side'
+      const shade = SHADE[face]
+      step[0] = step[1] = step[2] = 0
+      step[d] = s
+
+      for (let i = 0; i < DIMS[d]; i++) {
+        // Build the mask of visible faces in this slice
+        pos[d] = i
+        for (let b = 0; b < dv; b++) {
+          pos[v] = b
+          for (let a = 0; a < du; a++) {
+            pos[u] = a
+            const n   = padIndex(pos[0] + step[0], pos[1] + step[1], pos[2] + step[2])
+            const key = faceKey(
+              vol[padIndex(pos[0], pos[1], pos[2])],
+              vol[n],
+              vol[padIndex(pos[0], pos[1] + 1, pos[2])]
+            )
+            if (key === 0) {
+              mask[b * du + a] = 0
+              continue
+            }
+            const occlusion = ao && !isLiquid(key & 255)
+              ? faceAO(vol, n, PAD_STEP[u], PAD_STEP[v])
+              : AO_OPEN
+            // A face is lit by the light in the block it looks into; faces only merge
+            // when their light matches
+            mask[b * du + a] = key | light[n] << KEY_LIGHT_SHIFT | occlusion << KEY_AO_SHIFT
+          }
+        }
+
+        // Greedily merge equal runs into rectangles
+        for (let b = 0; b < dv; b++) {
+          for (let a = 0; a < du; ) {
+            const key = mask[b * du + a]
+            if (key === 0) { a++; continue }
+
+            let w = 1
+            while (a + w < du && mask[b * du + a + w] === key) w++
+
+            let h = 1
+            grow: while (b + h < dv) {
+              for (let k = 0; k < w; k++) {
+                if (mask[(b + h) * du + a + k] !== key) break grow
+              }
+              h++
+            }
+
+            for (let j = 0; j < h; j++) mask.fill(0, (b + j) * du + a, (b + j) * du + a + w)
+
+            const block      = key & 255
+            const packed     = (key >> KEY_LIGHT_SHIFT) & 255
+            const type       = getBlockType(block) || getBlockType(BLOCKS.STONE)
+            const tile       = tileMap[block * 3 + FACE_INDEX[face]]
+            const colorHex   = tile > 0 ? 0xffffff : type.colors[face]
+            const r = ((colorHex >> 16) & 255) / 255 * shade
+            const g = ((colorHex >> 8)  & 255) / 255 * shade
+            const c = ((colorHex)       & 255) / 255 * shade
+
+            origin[d] = i + (s > 0 ? 1 : 0)
+            origin[u] = a
+            origin[v] = b
+            origin[0] += x0
+            origin[2] += z0
+
+            const out  = type.transparent ? water : opaque
+            const drop = key & KEY_LOWERED && !(d === 1 && s < 0) ? 1 - liquidSurface(block) : 0
+            out.emit(origin, d, u, v, s, w, h, r, g, c,
+              LIGHT_CURVE[packed >> 4], LIGHT_CURVE[packed & 15], drop, key >> KEY_AO_SHIFT, tile)
+            a += w
+          }
+        }
+      }
+    }
+  }
+
+  return { opaque: opaque.finish(), water: water.finish() }
+}
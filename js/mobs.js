@@ -0,0 +1,312 @@
+import * as THREE from 'three'
+import { BLOCKS } from './blocks.js'
+import { CHUNK_HEIGHT } from './chunk.js'
+import { Entity } from './entity.js'
+import { findPath, canStand } from './pathfinding.js'
+
+// Mobs: animals that wander about on grass, and monsters that come out in the dark
+// and go for the player. They find their way with findPath (pathfinding.js), jumping
+// up single blocks, and get knocked back when hit. Mobs aren't saved; MobSpawner
+// keeps them coming around the player, and they go with the chunks they're in.
+//
+// A mob type is {
+//   name      — key for registerMob / spawnMob
+//   hostile   — chases and hits the player in survival, and only spawns in the dark
+//   width     — collision box size on x and z
+//   height    — and on y
+//   health
+//   speed     — units/s walking
+//   damage    — health a hit takes from the player (hostile only)
+//   colors    — { body, head, legs } as 0xRRGGBB
+//   upright   — stands on two legs; otherwise on four, with its body along its facing
+// }
+
+const MOB_TYPES = new Map() // name -> type
+
+const WANDER_RANGE    = 8    // blocks from where it is to a wander destination
+const WANDER_PAUSE    = 4    // s between wanders, give or take half
+const PANIC_TIME      = 3    // s a passive mob runs about after being hit
+const PANIC_SPEED     = 1.8  // speed multiplier while panicking
+const CHASE_RANGE     = 16   // blocks at which a hostile mob notices the player
+const REPATH_TIME     = 0.75 // s between path updates while chasing
+const ATTACK_RANGE    = 1.1  // horizontal blocks between centers for a hit to land
+const ATTACK_COOLDOWN = 1    // s between hits
+const JUMP_SPEED      = 8.5  // clears one block
+const SWIM_SPEED      = 2    // mobs keep their heads above water
+const WAYPOINT_RADIUS = 0.3  // how close to a cell's middle counts as there
+const STUCK_TIME      = 3    // s on one waypoint before giving up on the path
+
+export function registerMob(def) {
+  if (MOB_TYPES.has(def.name)) throw new Error(`Mob "${def.name}" is already registered`)
+  const type = { hostile: false, health: 10, speed: 2, damage: 0, upright: false, ...def }
+  type.template = createTemplate(type)
+  MOB_TYPES.set(type.name, type)
+  return type
+}
+
+export function mobTypes() {
+  return [...MOB_TYPES.values()]
+}
+
+// A mob of a registered type standing at (x, y, z), added to the world
+export function spawnMob(world, name, x, y, z) {
+  const type = MOB_TYPES.get(name)
+  if (!type) throw new Error(`Unknown mob "${name}"`)
+  const mob = new Mob(type)
+  mob.pos.set(x, y, z)
+  mob.yaw = Math.random() * Math.PI * 2
+  return world.entities.add(mob)
+}
+
+// One model per type, cloned for each mob; the clones share geometry and materials.
+// It faces -z, like the player at yaw 0.
+function createTemplate({ width: w, height: h, colors, upright }) {
+  const group = new THREE.Group()
+  const part  = (sx, sy, sz, color, x, y, z) => {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(sx, sy, sz), new THREE.MeshLambertMaterial({ color }))
+    mesh.position.set(x, y, z)
+    group.add(mesh)
+  }
+  if (upright) {
+    const legs = h * 0.45, body = h * 0.35, head = h * 0.2
+    part(w, legs, w * 0.5, colors.legs, 0, legs / 2, 0)
+    part(w, body, w * 0.5, colors.body, 0, legs + body / 2, 0)
+    part(head, head, head, colors.head, 0, legs + body + head / 2, 0)
+  } else {
+    const legs = h * 0.3, body = h * 0.45, head = h * 0.45, length = w * 1.6
+    for (const [x, z] of [[-1, -1], [1, -1], [-1, 1], [1, 1]]) {
+      part(w * 0.25, legs, w * 0.25, colors.legs, x * w * 0.3, legs / 2, z * length * 0.35)
+    }
+    part(w, body, length, colors.body, 0, legs + body / 2, 0)
+    part(head, head, head, colors.head, 0, h - head / 2, -length / 2 - head * 0.3)
+  }
+  return group
+}
+
+export class Mob extends Entity {
+  constructor(type) {
+    super(type)
+    this.type       = type
+    this.mesh       = type.template.clone()
+    this.path       = null // cells from findPath, walked one by one
+    this.pathIndex  = 0
+    this.stuckTime  = 0    // s spent trying to reach the current cell
+    this.thinkTime  = Math.random() * WANDER_PAUSE // s until it decides where to go next
+    this.attackTime = 0    // s until it can hit again
+    this.panicTime  = 0
+
+    // Reused by findPath calls, never allocated in the game loop
+    this._from = { x: 0, y: 0, z: 0 }
+    this._to   = { x: 0, y: 0, z: 0 }
+  }
+
+  think(dt, player) {
+    this.thinkTime  -= dt
+    this.attackTime  = Math.max(0, this.attackTime - dt)
+    this.panicTime   = Math.max(0, this.panicTime - dt)
+
+    if (this.type.hostile && this._canChase(player)) {
+      if (!this._chase(player)) this._followPath(dt)
+    } else {
+      if (this.thinkTime <= 0) this._wander()
+      this._followPath(dt)
+    }
+    if (this.inLiquid) this.vel.y = Math.max(this.vel.y, SWIM_SPEED)
+  }
+
+  hurt(amount, fromX, fromZ, knockback) {
+    super.hurt(amount, fromX, fromZ, knockback)
+    if (!this.type.hostile) {
+      this.panicTime = PANIC_TIME
+      this.thinkTime = 0
+    }
+  }
+
+  _canChase(player) {
+    return player && !player.dead && player.gameMode === 'survival' &&
+      this.pos.distanceToSquared(player.pos) < CHASE_RANGE * CHASE_RANGE
+  }
+
+  // Hit the player when in reach, and head for them; true while close enough to walk
+  // straight at them instead of following a path
+  _chase(player) {
+    const dx = player.pos.x - this.pos.x
+    const dz = player.pos.z - this.pos.z
+    const d  = Math.hypot(dx, dz)
+    const level = Math.abs(player.pos.y - this.pos.y) < 1.5
+    if (d < ATTACK_RANGE && level && this.attackTime === 0) {
+      player.damage(this.type.damage)
+      this.attackTime = ATTACK_COOLDOWN
+    }
+    // Close by, it walks straight at the player
+    if (d < 2 && level) {
+      const speed = d > 0.1 ? this.type.speed / d : 0
+      this.path = null
+      this.walk.set(dx * speed, dz * speed)
+      this.yaw = Math.atan2(-dx, -dz)
+      return true
+    }
+    if (this.thinkTime <= 0) {
+      this.thinkTime = REPATH_TIME
+      this._to.x = Math.floor(player.pos.x)
+      this._to.y = Math.floor(player.pos.y + 0.01)
+      this._to.z = Math.floor(player.pos.z)
+      this._pathTo(this._to)
+    }
+    return false
+  }
+
+  // Off to a random spot nearby it can stand on, a little higher or lower than here
+  _wander() {
+    this.thinkTime = WANDER_PAUSE * (0.5 + Math.random())
+    const x = Math.floor(this.pos.x) + Math.round((Math.random() * 2 - 1) * WANDER_RANGE)
+    const z = Math.floor(this.pos.z) + Math.round((Math.random() * 2 - 1) * WANDER_RANGE)
+    const y = Math.floor(this.pos.y + 0.01)
+    for (let dy = 2; dy >= -2; dy--) {
+      if (canStand(this.world, x, y + dy, z, this.height)) {
+        this._to.x = x
+        this._to.y = y + dy
+        this._to.z = z
+        this._pathTo(this._to)
+        return
+      }
+    }
+  }
+
+  _pathTo(to) {
+    this._from.x = Math.floor(this.pos.x)
+    this._from.y = Math.floor(this.pos.y + 0.01)
+    this._from.z = Math.floor(this.pos.z)
+    this.path      = findPath(this.world, this._from, to, this.height)
+    this.pathIndex = 0
+    this.stuckTime = 0
+  }
+
+  // Walk toward the middle of the next cell on the path, jumping when it's a block up
+  _followPath(dt) {
+    if (!this.path) {
+      this.walk.set(0, 0)
+      return
+    }
+    const cell = this.path[this.pathIndex]
+    const dx   = cell.x + 0.5 - this.pos.x
+    const dz   = cell.z + 0.5 - this.pos.z
+    const d    = Math.hypot(dx, dz)
+    if (d < WAYPOINT_RADIUS && this.pos.y > cell.y - 0.5) {
+      this.stuckTime = 0
+      if (++this.pathIndex === this.path.length) {
+        this.path = null
+        this.walk.set(0, 0)
+      }
+      return
+    }
+    this.stuckTime += dt
+    if (this.stuckTime > STUCK_TIME) {
+      this.path = null
+      this.walk.set(0, 0)
+      return
+    }
+
+    const speed = this.type.speed * (this.panicTime > 0 ? PANIC_SPEED : 1)
+    this.walk.set(dx / d * speed, dz / d * speed)
+    this.yaw = Math.atan2(-dx, -dz)
+    if (cell.y > Math.floor(this.pos.y + 0.01) && this.onGround) this.vel.y = JUMP_SPEED
+  }
+}
+
+// --- Spawning ---
+
+const SPAWN_INTERVAL   = 0.5 // s between attempts
+const SPAWN_MIN        = 24  // blocks from the player
+const SPAWN_MAX        = 48
+const DESPAWN_DISTANCE = 72  // mobs further than this from the player are removed
+const MAX_PASSIVE      = 12  // around the player at once
+const MAX_HOSTILE      = 10
+const DARK             = 7   // light level at or below which hostile mobs spawn
+
+function pick(list) {
+  return list[Math.floor(Math.random() * list.length)]
+}
+
+// Brings mobs to the area around the player and takes away the ones left far behind.
+// Animals appear on grass in the light; monsters anywhere dark with room to stand,
+// on the surface at night or in caves any time.
+export class MobSpawner {
+  constructor(world) {
+    this.world = world
+    this.time  = 0
+  }
+
+  // daylight: share of sky light that reaches blocks now, 0–1 (see Sky.daylight)
+  update(dt, player, daylight) {
+    const { entities } = this.world
+    let passive = 0
+    let hostile = 0
+    for (let i = entities.list.length - 1; i >= 0; i--) {
+      const mob = entities.list[i]
+      if (!(mob instanceof Mob)) continue
+      if (mob.pos.distanceToSquared(player.pos) > DESPAWN_DISTANCE * DESPAWN_DISTANCE) {
+        entities.remove(mob)
+      } else if (mob.type.hostile) {
+        hostile++
+      } else {
+        passive++
+      }
+    }
+
+    this.time += dt
+    if (this.time < SPAWN_INTERVAL) return
+    this.time = 0
+
+    const angle    = Math.random() * Math.PI * 2
+    const distance = SPAWN_MIN + Math.random() * (SPAWN_MAX - SPAWN_MIN)
+    const x = Math.floor(player.pos.x + Math.cos(angle) * distance)
+    const z = Math.floor(player.pos.z + Math.sin(angle) * distance)
+    const types = mobTypes()
+    if (passive < MAX_PASSIVE) this._spawnPassive(x, z, daylight, types.filter(type => !type.hostile))
+    if (hostile < MAX_HOSTILE) this._spawnHostile(x, z, daylight, types.filter(type => type.hostile))
+  }
+
+  // Light at a block as it looks now: sky light dimmed by the time of day, or block light
+  _lightAt(x, y, z, daylight) {
+    const packed = this.world.getLightWorld(x, y, z)
+    return Math.max((packed >> 4) * daylight, packed & 15)
+  }
+
+  // On the topmost block of the column, if it's grass and lit
+  _spawnPassive(x, z, daylight, types) {
+    if (types.length === 0) return
+    let y = CHUNK_HEIGHT - 1
+    while (y > 0 && this.world.getBlockWorld(x, y - 1, z) === BLOCKS.AIR) y--
+    const type = pick(types)
+    if (this.world.getBlockWorld(x, y - 1, z) !== BLOCKS.GRASS || !canStand(this.world, x, y, z, type.height)) return
+    if (this._lightAt(x, y, z, daylight) <= DARK) return
+    spawnMob(this.world, type.name, x + 0.5, y, z + 0.5)
+  }
+
+  // On the first place to stand found going down from a random height, if it's dark
+  _spawnHostile(x, z, daylight, types) {
+    if (types.length === 0) return
+    const type = pick(types)
+    for (let y = 1 + Math.floor(Math.random() * (CHUNK_HEIGHT - 2)); y > 0; y--) {
+      if (!canStand(this.world, x, y, z, type.height)) continue
+      if (this._lightAt(x, y, z, daylight) <= DARK) spawnMob(this.world, type.name, x + 0.5, y, z + 0.5)
+      return
+    }
+  }
+}
+
+// --- Built-in mobs ---
+
+registerMob({
+  name: 'pig', width: 0.8, height: 0.9, health: 10, speed: 2,
+  colors: { body: 0xf0a5a0, head: 0xf5b8b0, legs: 0xd88c88 },
+})
+registerMob({
+  name: 'sheep', width: 0.8, height: 1.1, health: 8, speed: 1.8,
+  colors: { body: 0xeeeeee, head: 0x6b5a4e, legs: 0x6b5a4e },
+})
+registerMob({
+  name: 'zombie', hostile: true, upright: true, width: 0.6, height: 1.8, health: 20, speed: 3, damage: 3,
+  colors: { body: 0x2f7f8f, head: 0x5f9f4f, legs: 0x3a3a8a },
+})
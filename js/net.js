@@ -0,0 +1,201 @@
+import { MSG, MAX_BATCH, PROTOCOL_VERSION, encode, decode } from './protocol.js'
+import { CHUNK_SIZE, CHUNK_HEIGHT } from './chunk.js'
+
+// Client side of multiplayer: one WebSocket to server/server.js, which owns the seed
+// and every edit. The World still generates terrain itself; the server sends the
+// edits on top of it for each chunk the world loads, and the edits of other players
+// as they happen. Local edits show up right away and go to the server in a batch
+// each frame; if it refuses one, it sends back the block that's really there.
+
+const MOVE_INTERVAL   = 0.05 // s between position updates, at most
+const CONNECT_TIMEOUT = 5000 // ms to wait for the server's welcome
+
+export class NetClient {
+  // Resolves with a client the server has welcomed, which knows the seed and game
+  // mode; rejects with a readable Error
+  static connect(url, name) {
+    return new Promise((resolve, reject) => {
+      const client = new NetClient(new WebSocket(url))
+      const timer  = setTimeout(() => client.close(`No answer from ${url}`), CONNECT_TIMEOUT)
+      client.socket.onopen = () => client.send({ type: MSG.HELLO, version: PROTOCOL_VERSION, name })
+      client.onWelcome = () => {
+        clearTimeout(timer)
+        resolve(client)
+      }
+      client.onClose = reason => {
+        clearTimeout(timer)
+        reject(new Error(reason))
+      }
+    })
+  }
+
+  constructor(socket) {
+    this.socket = socket
+    this.socket.binaryType = 'arraybuffer'
+    this.socket.onmessage  = e => this._receive(new Uint8Array(e.data))
+    this.socket.onclose    = () => this.close(this.closeReason ?? 'Lost the connection to the server')
+
+    this.id          = null // ours, from the welcome
+    this.seed        = null
+    this.gameMode    = null
+    this.closed      = false
+    this.closeReason = null // from the server's ERROR until the socket closes, then why it did
+    this.held        = []   // messages after the welcome, until attach()
+
+    this.world     = null
+    this.player    = null
+    this.pending   = []    // local edits not yet sent, flat x, y, z, block
+    this.applying  = false // true while applying the server's edits, which aren't sent back
+    this.moveTimer = 0
+    this.lastMove  = null  // the last pose sent, to skip sending one that hasn't changed
+
+    this.onWelcome     = () => {}
+    this.onClose       = () => {} // (reason) once, however the connection ended
+    this.onPlayerJoin  = () => {} // (id, name)
+    this.onPlayerLeave = () => {} // (id)
+    this.onPlayerMove  = () => {} // (id, x, y, z, yaw, pitch)
+  }
+
+  // Start syncing a freshly created World, before it loads any chunks. Set the
+  // onPlayer* callbacks first: what the server sent since the welcome (the players
+  // already there, say) is handled here.
+  attach(world, player) {
+    this.world  = world
+    this.player = player
+    world.onChunkLoad = (cx, cz) => {
+      this.flush() // edits made before this go first, as the server saw them happen
+      this.send({ type: MSG.SUBSCRIBE, cx, cz })
+    }
+    world.onChunkUnload = (cx, cz) => {
+      this.flush()
+      this.send({ type: MSG.UNSUBSCRIBE, cx, cz })
+      // Others may edit it while it's away; reloading starts over from the server's copy
+      world.edited.delete(world.chunkKey(cx, cz))
+    }
+    world.onBlockChange = (x, y, z, block) => {
+      if (!this.applying) this.pending.push(x, y, z, block)
+    }
+    for (const bytes of this.held) this._receive(bytes)
+    this.held = []
+  }
+
+  send(msg) {
+    if (!this.closed && this.socket.readyState === WebSocket.OPEN) this.socket.send(encode(msg))
+  }
+
+  // Send local edits made since the last call
+  flush() {
+    for (let i = 0; i < this.pending.length; i += MAX_BATCH * 4) {
+      this.send({ type: MSG.SET_BLOCKS, blocks: this.pending.slice(i, i + MAX_BATCH * 4) })
+    }
+    this.pending = []
+  }
+
+  // Call every frame
+  update(dt) {
+    this.flush()
+    this.moveTimer -= dt
+    if (this.moveTimer > 0 || !this.player) return
+    this.moveTimer = MOVE_INTERVAL
+
+    const { pos, yaw, pitch } = this.player
+    const last = this.lastMove
+    if (last && last.x === pos.x && last.y === pos.y && last.z === pos.z && last.yaw === yaw && last.pitch === pitch) return
+    this.lastMove = { type: MSG.MOVE, x: pos.x, y: pos.y, z: pos.z, yaw, pitch }
+    this.send(this.lastMove)
+  }
+
+  // Ends the connection and reports `reason` through onClose; safe to call twice
+  close(reason = 'Disconnected') {
+    if (this.closed) return
+    this.closed      = true
+    this.closeReason = reason
+    this.socket.close()
+    if (this.world) {
+      this.world.onChunkLoad   = () => {}
+      this.world.onChunkUnload = () => {}
+      this.world.onBlockChange = () => {}
+    }
+    this.onClose(reason)
+  }
+
+  _receive(bytes) {
+    if (this.id !== null && !this.world) {
+      this.held.push(bytes)
+      return
+    }
+    let msg
+    try {
+      msg = decode(bytes)
+    } catch (err) {
+      this.close(`The server sent something unreadable: ${err.message}`)
+      return
+    }
+    switch (msg.type) {
+      case MSG.WELCOME:
+        if (msg.version !== PROTOCOL_VERSION) {
+          this.close(`The server speaks protocol version ${msg.version}, this game ${PROTOCOL_VERSION}`)
+          return
+        }
+        this.id       = msg.id
+        this.seed     = msg.seed
+        this.gameMode = msg.gameMode
+        this.onWelcome()
+        break
+      case MSG.CHUNK_EDITS:
+        this._applyChunkEdits(msg.cx, msg.cz, msg.edits)
+        break
+      case MSG.SET_BLOCKS:
+        this._applyBlocks(msg.blocks)
+        break
+      case MSG.PLAYER_JOIN:
+        this.onPlayerJoin(msg.id, msg.name)
+        break
+      case MSG.PLAYER_LEAVE:
+        this.onPlayerLeave(msg.id)
+        break
+      case MSG.PLAYER_MOVE:
+        this.onPlayerMove(msg.id, msg.x, msg.y, msg.z, msg.yaw, msg.pitch)
+        break
+      case MSG.ERROR:
+        this.closeReason = msg.message
+        break
+    }
+  }
+
+  // Edits from the server aren't sent back, and don't queue block updates: the player
+  // who made them runs those and sends what they change
+  _applyRemote(fn) {
+    if (!this.world) return
+    this.applying = true
+    try {
+      this.world.batch(() => this.world.ticks.withoutUpdates(fn))
+    } finally {
+      this.applying = false
+    }
+  }
+
+  // Chunk edits come as indices into Chunk.data: x + CHUNK_SIZE * (y + CHUNK_HEIGHT * z)
+  _applyChunkEdits(cx, cz, edits) {
+    if (!this.world?.getChunk(cx, cz)) return // unloaded again before the edits arrived
+    this._applyRemote(() => {
+      for (let i = 0; i < edits.length; i += 2) {
+        const index = edits[i]
+        const x = index % CHUNK_SIZE
+        const y = Math.floor(index / CHUNK_SIZE) % CHUNK_HEIGHT
+        const z = Math.floor(index / (CHUNK_SIZE * CHUNK_HEIGHT))
+        this.world.setBlockWorld(cx * CHUNK_SIZE + x, y, cz * CHUNK_SIZE + z, edits[i + 1])
+      }
+    })
+  }
+
+  // Blocks in unloaded chunks are skipped by setBlockWorld; they arrive with the
+  // chunk's edits when it's loaded again
+  _applyBlocks(blocks) {
+    this._applyRemote(() => {
+      for (let i = 0; i < blocks.length; i += 4) {
+        this.world.setBlockWorld(blocks[i], blocks[i + 1], blocks[i + 2], blocks[i + 3])
+      }
+    })
+  }
+}
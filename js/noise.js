@@ -1,4 +1,4 @@
-// Classic 2D Perlin noise for terrain generation.
+// Classic 2D / 3D Perlin noise for terrain generation.
 // (Renamed from SimplexNoise — this implements Perlin, not Simplex.) (#13)
 
 export class PerlinNoise {
@@ -7,8 +7,11 @@ export class PerlinNoise {
     const p   = new Uint8Array(256)
     for (let i = 0; i < 256; i++) p[i] = i
 
-    // LCG shuffle based on seed (Park-Miller)
-    let s = seed * 2147483647 | 0
+    // LCG shuffle based on seed (Park-Miller). Integer seeds are used as-is, fractions
+    // (the Math.random() default) are scaled up. The state must be positive — a negative
+    // state produced negative swap indices and left most of the table zeroed.
+    let s = Number.isInteger(seed) ? seed : Math.floor(seed * 2147483647)
+    s = ((s % 2147483647) + 2147483647) % 2147483647
     if (s === 0) s = 1 // guard: seed=0 degenerates the LCG (#15)
     for (let i = 255; i > 0; i--) {
       s = (s * 16807) % 2147483647
@@ -57,6 +60,46 @@ export class PerlinNoise {
     )
   }
 
+  // 12 cube-edge gradients from Perlin's improved noise (16 cases, 4 repeated)
+  grad3(hash, x, y, z) {
+    const h = hash & 15
+    const u = h < 8 ? x : y
+    const v = h < 4 ? y : (h === 12 || h === 14) ? x : z
+    return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v)
+  }
+
+  noise3D(x, y, z) {
+    const X  = Math.floor(x) & 255
+    const Y  = Math.floor(y) & 255
+    const Z  = Math.floor(z) & 255
+    x -= Math.floor(x)
+    y -= Math.floor(y)
+    z -= Math.floor(z)
+    const u  = this.fade(x)
+    const v  = this.fade(y)
+    const w  = this.fade(z)
+    const p  = this.perm
+    const a  = p[X]     + Y
+    const aa = p[a]     + Z
+    const ab = p[a + 1] + Z
+    const b  = p[X + 1] + Y
+    const ba = p[b]     + Z
+    const bb = p[b + 1] + Z
+    return this.lerp(
+      this.lerp(
+        this.lerp(this.grad3(p[aa],     x,     y,     z    ), this.grad3(p[ba],     x - 1, y,     z    ), u),
+        this.lerp(this.grad3(p[ab],     x,     y - 1, z    ), this.grad3(p[bb],     x - 1, y - 1, z    ), u),
+        v
+      ),
+      this.lerp(
+        this.lerp(this.grad3(p[aa + 1], x,     y,     z - 1), this.grad3(p[ba + 1], x - 1, y,     z - 1), u),
+        this.lerp(this.grad3(p[ab + 1], x,     y - 1, z - 1), this.grad3(p[bb + 1], x - 1, y - 1, z - 1), u),
+        v
+      ),
+      w
+    )
+  }
+
   // Layered (fractal) noise — normalised to [-1, 1] regardless of octave count
   octaves(x, y, octaves = 4, persistence = 0.5, scale = 0.01) {
     let val = 0, amp = 1, freq = scale, max = 0
@@ -68,4 +111,25 @@ export class PerlinNoise {
     }
     return val / max
   }
+
+  octaves3D(x, y, z, octaves = 4, persistence = 0.5, scale = 0.01) {
+    let val = 0, amp = 1, freq = scale, max = 0
+    for (let i = 0; i < octaves; i++) {
+      val  += this.noise3D(x * freq, y * freq, z * freq) * amp
+      max  += amp
+      amp  *= persistence
+      freq *= 2
+    }
+    return val / max
+  }
+}
+
+// Seeded integer hash of a 2D lattice point, in [0, 1). Cheap enough to call per column,
+// for deterministic scatter decisions (trees, structures) that don't need smooth noise.
+export function hash2D(seed, x, z) {
+  let h = (seed ^ Math.imul(x, 0x27d4eb2d) ^ Math.imul(z, 0x165667b1)) | 0
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b)
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35)
+  h ^= h >>> 16
+  return (h >>> 0) / 4294967296
 }
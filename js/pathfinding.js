@@ -0,0 +1,96 @@
+import { isSolid, isLiquid } from './blocks.js'
+import { CHUNK_HEIGHT } from './chunk.js'
+
+// A* over the voxel grid, for mobs. A path is a list of cells a body's feet stand in:
+// solid ground under it and room for its height, with nothing solid or liquid in the
+// way. From a cell it can walk to one beside it on the same level, step up one block
+// (a jump, so it needs headroom where it is) or step down one; longer drops and water
+// are never part of a path.
+
+const MAX_NODES = 600 // cells looked at before settling for the nearest one found
+const SIDES     = [[1, 0], [-1, 0], [0, 1], [0, -1]]
+const STEPS     = [0, 1, -1] // changes in height from one cell to the next
+const STEP_COST = [1.2, 1, 1.5] // down, level, up; indexed by the change + 1
+
+// Cells are keyed by position packed into one number, exact for |x|, |z| < 2^22
+const OFFSET = 1 << 22
+const SPAN   = 1 << 23
+
+function cellKey(x, y, z) {
+  return ((x + OFFSET) * SPAN + (z + OFFSET)) * CHUNK_HEIGHT + y
+}
+
+// Nothing solid or liquid in the `blocks` cells from (x, y, z) up
+function isClear(world, x, y, z, blocks) {
+  for (let i = 0; i < blocks; i++) {
+    const block = world.getBlockWorld(x, y + i, z)
+    if (isSolid(block) || isLiquid(block)) return false
+  }
+  return true
+}
+
+// Can a body `height` blocks tall stand with its feet in cell (x, y, z)? Unloaded
+// chunks read as air, so there's never ground to stand on in them.
+export function canStand(world, x, y, z, height) {
+  return isSolid(world.getBlockWorld(x, y - 1, z)) && isClear(world, x, y, z, Math.ceil(height))
+}
+
+// Fewest moves from a cell to the goal if nothing were in the way
+function estimate(x, y, z, to) {
+  return Math.max(Math.abs(to.x - x) + Math.abs(to.z - z), Math.abs(to.y - y))
+}
+
+// Cells from the one after `from` up to `to`, both { x, y, z } with y at the feet. If
+// the goal can't be reached (or isn't found within MAX_NODES) the path leads to the
+// nearest cell to it that can; null if that's `from` itself.
+export function findPath(world, from, to, height) {
+  const blocks = Math.ceil(height)
+  const start  = { x: from.x, y: from.y, z: from.z, g: 0, h: estimate(from.x, from.y, from.z, to), parent: null }
+  const open   = [start]
+  const nodes  = new Map([[cellKey(start.x, start.y, start.z), start]])
+  let nearest  = start
+  let explored = 0
+
+  while (open.length > 0 && explored < MAX_NODES) {
+    let best = 0
+    for (let i = 1; i < open.length; i++) {
+      if (open[i].g + open[i].h < open[best].g + open[best].h) best = i
+    }
+    const node = open[best]
+    open[best] = open[open.length - 1]
+    open.pop()
+    node.closed = true
+    explored++
+
+    if (node.h < nearest.h || (node.h === nearest.h && node.g < nearest.g)) nearest = node
+    if (node.h === 0) break
+
+    for (const [dx, dz] of SIDES) {
+      for (const dy of STEPS) {
+        const x = node.x + dx, y = node.y + dy, z = node.z + dz
+        if (!canStand(world, x, y, z, height)) continue
+        // Jumping up needs room above the head; stepping down, room to walk out over the edge
+        if (dy === 1 && !isClear(world, node.x, node.y + blocks, node.z, 1)) continue
+        if (dy === -1 && !isClear(world, x, node.y + blocks - 1, z, 1)) continue
+
+        const key  = cellKey(x, y, z)
+        const g    = node.g + STEP_COST[dy + 1]
+        const seen = nodes.get(key)
+        if (seen && (seen.closed || seen.g <= g)) continue
+        if (seen) {
+          seen.g      = g
+          seen.parent = node
+        } else {
+          const next = { x, y, z, g, h: estimate(x, y, z, to), parent: node }
+          nodes.set(key, next)
+          open.push(next)
+        }
+      }
+    }
+  }
+
+  if (nearest === start) return null
+  const path = []
+  for (let node = nearest; node !== start; node = node.parent) path.push({ x: node.x, y: node.y, z: node.z })
+  return path.reverse()
+}
@@ -0,0 +1,182 @@
+import { isSolid, isLiquid } from './blocks.js'
+
+// Voxel collision for anything that moves through the world as an axis-aligned box.
+// A body is {
+//   pos        — middle of the box's bottom face, moved in place
+//   vel        — units/s, zeroed on each axis that hits something
+//   width      — size on x and z
+//   height     — size on y
+//   stepHeight — ledges up to this high are walked onto instead of blocking (0 for none)
+//   sneaking   — while on the ground, refuse to move off the edge of what it stands on
+//   onGround   — set by moveAndCollide
+// }
+// Movement is swept one axis at a time against every voxel the box passes through,
+// so nothing can tunnel through a block or catch on a corner between sample points.
+// The player and every entity (entity.js) move with the same code.
+
+export const GRAVITY = -28
+
+// The player's body, here rather than in player.js so it can be tested without a
+// browser. The server checks survival edits against REACH.
+//
+// STEP_HEIGHT is a whole block on purpose, for the player and every entity alike.
+// Every block is a full block, so every ledge is a whole block high and a step height
+// below that would never lift anything: the small ledges stepped up without jumping
+// are the single-block rises of hillsides and beaches. Anything higher takes a jump.
+export const PLAYER_WIDTH  = 0.4
+export const PLAYER_HEIGHT = 1.7
+export const STEP_HEIGHT   = 1
+export const REACH         = 5 // blocks from the eyes to what the player can dig or place at
+const WATER_GRAVITY  = -6 // reduced gravity while submerged (#19)
+const WATER_DRAG     =  8 // vertical velocity damping (units/s) while in water (#19)
+
+const EPSILON    = 1e-6 // boxes touching a face don't overlap the block behind it
+const EDGE_STEP  = 0.05 // how far at a time sneaking backs off from an edge
+const AXES       = ['x', 'y', 'z']
+const CROSS_AXES = [[1, 2], [0, 2], [0, 1]]
+
+// Scratch state for the sweeps: the box's min/max corners and a voxel, indexed by axis
+const box  = { min: [0, 0, 0], max: [0, 0, 0] }
+const cell = [0, 0, 0]
+
+function loadBox(body) {
+  const w = body.width / 2
+  box.min[0] = body.pos.x - w
+  box.min[1] = body.pos.y
+  box.min[2] = body.pos.z - w
+  box.max[0] = body.pos.x + w
+  box.max[1] = body.pos.y + body.height
+  box.max[2] = body.pos.z + w
+}
+
+// Is any block in layer `c` along `axis` solid within the box's extent on the other axes?
+function layerBlocked(world, axis, c) {
+  const [a, b] = CROSS_AXES[axis]
+  const a0 = Math.floor(box.min[a] + EPSILON), a1 = Math.floor(box.max[a] - EPSILON)
+  const b0 = Math.floor(box.min[b] + EPSILON), b1 = Math.floor(box.max[b] - EPSILON)
+  cell[axis] = c
+  for (let i = a0; i <= a1; i++) {
+    cell[a] = i
+    for (let j = b0; j <= b1; j++) {
+      cell[b] = j
+      if (isSolid(world.getBlockWorld(cell[0], cell[1], cell[2]))) return true
+    }
+  }
+  return false
+}
+
+// Move the body up to `delta` along one axis, stopping flush against the first solid
+// layer of voxels in the way. Returns the distance actually moved. Blocks the box
+// already overlaps are ignored, so a body stuck inside terrain can still move out.
+function moveAxis(world, body, axis, delta) {
+  if (delta === 0) return 0
+  loadBox(body)
+  if (delta > 0) {
+    const from = Math.floor(box.max[axis] - EPSILON) + 1
+    const to   = Math.floor(box.max[axis] + delta - EPSILON)
+    for (let c = from; c <= to; c++) {
+      if (layerBlocked(world, axis, c)) {
+        delta = Math.max(0, c - box.max[axis])
+        break
+      }
+    }
+  } else {
+    const from = Math.floor(box.min[axis] + EPSILON) - 1
+    const to   = Math.floor(box.min[axis] + delta + EPSILON)
+    for (let c = from; c >= to; c--) {
+      if (layerBlocked(world, axis, c)) {
+        delta = Math.min(0, c + 1 - box.min[axis])
+        break
+      }
+    }
+  }
+  body.pos[AXES[axis]] += delta
+  return delta
+}
+
+// Is there a solid block right under the box if it were shifted by (dx, dz)?
+function hasSupport(world, body, dx, dz) {
+  body.pos.x += dx
+  body.pos.z += dz
+  loadBox(body)
+  const supported = layerBlocked(world, 1, Math.floor(body.pos.y - EPSILON))
+  body.pos.x -= dx
+  body.pos.z -= dz
+  return supported
+}
+
+function backOff(d) {
+  return Math.abs(d) <= EDGE_STEP ? 0 : d - Math.sign(d) * EDGE_STEP
+}
+
+// Is the middle of the body in a liquid?
+export function isInLiquid(world, body) {
+  const x = Math.floor(body.pos.x)
+  const y = Math.floor(body.pos.y + body.height * 0.5)
+  const z = Math.floor(body.pos.z)
+  return isLiquid(world.getBlockWorld(x, y, z))
+}
+
+// Accelerate the body downward for dt; in liquid it sinks slower and slowly stops sinking
+export function applyGravity(body, dt, inLiquid) {
+  body.vel.y += (inLiquid ? WATER_GRAVITY : GRAVITY) * dt
+
+  // Damp vertical velocity in water (#19)
+  if (inLiquid && body.vel.y < 0) {
+    body.vel.y += WATER_DRAG * dt
+    if (body.vel.y > 0) body.vel.y = 0
+  }
+}
+
+// Advance a body by vel * dt. Returns the downward speed it hit the ground with, or 0
+// if it didn't land this step (for fall damage).
+export function moveAndCollide(world, body, dt) {
+  const wasOnGround = body.onGround
+  const vy = body.vel.y
+  let dx = body.vel.x * dt
+  let dz = body.vel.z * dt
+
+  // Vertical first, so a body on the ground slides along it rather than into it
+  const dy = vy * dt
+  const my = moveAxis(world, body, 1, dy)
+  body.onGround = dy < 0 && my > dy
+  if (my !== dy) body.vel.y = 0
+
+  // Sneaking shortens any horizontal step that would leave nothing underfoot
+  if (body.sneaking && body.onGround) {
+    while (dx !== 0 && !hasSupport(world, body, dx, 0)) dx = backOff(dx)
+    while (dz !== 0 && !hasSupport(world, body, 0, dz)) dz = backOff(dz)
+    while (dx !== 0 && dz !== 0 && !hasSupport(world, body, dx, dz)) {
+      dx = backOff(dx)
+      dz = backOff(dz)
+    }
+  }
+
+  let mx = moveAxis(world, body, 0, dx)
+  let mz = moveAxis(world, body, 2, dz)
+
+  // Blocked while walking: retry the move from stepHeight up, then settle back down,
+  // and keep whichever attempt got further
+  if ((mx !== dx || mz !== dz) && body.stepHeight > 0 && (body.onGround || wasOnGround)) {
+    const x = body.pos.x, y = body.pos.y, z = body.pos.z
+    body.pos.x -= mx
+    body.pos.z -= mz
+    const up   = moveAxis(world, body, 1, body.stepHeight)
+    const sx   = moveAxis(world, body, 0, dx)
+    const sz   = moveAxis(world, body, 2, dz)
+    const down = moveAxis(world, body, 1, -up)
+    if (sx * sx + sz * sz > mx * mx + mz * mz && down > -up) {
+      mx = sx
+      mz = sz
+      body.onGround = true
+    } else {
+      body.pos.x = x
+      body.pos.y = y
+      body.pos.z = z
+    }
+  }
+
+  if (mx !== dx) body.vel.x = 0
+  if (mz !== dz) body.vel.z = 0
+  return body.onGround && !wasOnGround && vy < 0 ? -vy : 0
+}
@@ -1,36 +1,89 @@
 import * as THREE from 'three'
-import { BLOCKS } from './chunk.js'
+import { BLOCKS, getBlockType, isBreakable, hotbarBlocks, fluidOf, liquidSurface } from './blocks.js'
+import { Inventory, HOTBAR_SIZE } from './inventory.js'
+import {
+  GRAVITY, PLAYER_WIDTH, PLAYER_HEIGHT, STEP_HEIGHT, REACH, moveAndCollide, applyGravity, isInLiquid,
+} from './physics.js'
+import { raycastBlocks } from './raycast.js'
 
-const GRAVITY       = -28
-const WATER_GRAVITY =  -6  // reduced gravity while submerged (#19)
 const SWIM_FORCE    =   5  // max upward velocity while swimming (#19)
-const WATER_DRAG    =   8  // vertical velocity damping (units/s) while in water (#19)
 const JUMP_FORCE    =  10
 const MOVE_SPEED    =   6
-const PLAYER_HEIGHT =   1.7
-const PLAYER_WIDTH  =   0.4
-const REACH         =   5
+const SPRINT_FACTOR =   1.4  // speed multiplier while sprinting, walking or flying
+const SNEAK_SPEED   =   2
+const FLY_SPEED     =  11
+const FLY_CLIMB     =   8  // vertical speed while flying
+const SNEAK_DROP    =   0.3  // how far sneaking lowers the camera
+const FOV_KICK      =  10   // degrees added to the field of view while sprinting
+const DOUBLE_TAP    = 300   // ms between presses that count as a double tap
+const DIG_REPEAT    =   0.25 // s between breaks while the button is held in creative
+const ATTACK_DAMAGE =   4    // health a hit takes from a mob
+
+// Survival vitals
+export const MAX_HEALTH = 20 // half-hearts
+export const MAX_BREATH = 10 // s the player can stay under water before drowning
+const BREATH_REFILL = 5 // s of breath regained per second above water
+const DROWN_DAMAGE  = 2 // health lost per second without breath
+const SAFE_FALL     = 3 // blocks the player can fall without getting hurt
 
 export class Player {
   constructor(camera, world) {
     this.camera = camera
     this.world  = world
 
-    this.pos = new THREE.Vector3(0, 40, 0)
-    this.vel = new THREE.Vector3(0, 0, 0)
-    this.onGround = false
+    // Collision body for physics.js
+    this.pos        = new THREE.Vector3(0, 40, 0)
+    this.vel        = new THREE.Vector3(0, 0, 0)
+    this.width      = PLAYER_WIDTH
+    this.height     = PLAYER_HEIGHT
+    this.stepHeight = STEP_HEIGHT
+    this.onGround   = false
+
+    // Shift sneaks; double-tapping W (or holding R) sprints until W is let go; in
+    // creative, double-tapping Space toggles flying
+    this.sneaking  = false
+    this.sprinting = false
+    this.flying    = false
+    this.crouch    = 0           // eases 0–1 so sneaking lowers the camera smoothly
+    this.stepLag   = 0           // how far the camera is still below a step up, eases to 0
+    this.baseFov   = camera.fov
+    this._tapTimes = {}          // key code -> time of the last press, for double taps
 
     this.yaw   = 0
     this.pitch = 0
 
-    this.selectedBlock = BLOCKS.GRASS
+    // 'survival' uses up placed blocks and digs for a block's hardness; 'creative' has
+    // unlimited blocks and breaks them instantly. Set per world from its metadata.
+    this.gameMode  = 'creative'
+    this.inventory = new Inventory()
+    this.onBlockBroken = () => {} // (block, x, y, z), e.g. to leave a drop behind
+
+    // Survival only: falls and drowning cost health, and at 0 the player is dead until
+    // respawn() takes them back to the spawn point
+    this.health     = MAX_HEALTH
+    this.breath     = MAX_BREATH
+    this.drownTime  = 0     // s since drowning damage was last dealt
+    this.spawnPoint = null  // [x, y, z] set per world; null spawns at the surface of (0, 0)
+    this.onDeath    = () => {}
+
+    // Block under the crosshair (a raycast() result or null), updated every frame
+    this.target = null
+
+    // While set, left and right clicks go to tool.primary(target) / tool.secondary(target)
+    // instead of breaking and placing (see builder.js)
+    this.tool = null
+
+    // Holding the left button digs into the target for its hardness in seconds
+    this.digging     = false
+    this.digPosition = null // block being dug, progress resets when it changes
+    this.digTime     = 0
+    this.digCooldown = 0
 
     // Reusable vectors — never allocated inside the game loop (#6, #7)
     this._forward = new THREE.Vector3()
     this._right   = new THREE.Vector3()
     this._move    = new THREE.Vector3()
     this._rayDir  = new THREE.Vector3()
-    this._rayPos  = new THREE.Vector3()
     this._euler   = new THREE.Euler(0, 0, 0, 'YXZ')
 
     this.keys = {}
@@ -41,6 +94,21 @@ export class Player {
     document.addEventListener('keydown', e => { this.keys[e.code] = true })
     document.addEventListener('keyup',   e => { this.keys[e.code] = false })
 
+    document.addEventListener('keydown', e => {
+      if (e.repeat) return
+      const last = this._tapTimes[e.code] ?? -Infinity
+      this._tapTimes[e.code] = e.timeStamp
+      if (e.timeStamp - last > DOUBLE_TAP) return
+      if (e.code === 'KeyW') this.sprinting = true
+      if (e.code === 'Space' && this.gameMode === 'creative') {
+        this.flying = !this.flying
+        this.vel.y  = 0
+      }
+    })
+    document.addEventListener('keyup', e => {
+      if (e.code === 'KeyW') this.sprinting = false
+    })
+
     document.addEventListener('mousemove', e => {
       if (!document.pointerLockElement) return
       this.yaw   -= e.movementX * 0.002
@@ -49,53 +117,230 @@ export class Player {
     })
 
     document.addEventListener('mousedown', e => {
-      if (!document.pointerLockElement) return
-      if (e.button === 0) this.breakBlock()
+      if (!document.pointerLockElement || !this.world) return
+      if (this.tool) {
+        if (e.button === 0) this.tool.primary(this.target)
+        if (e.button === 2) this.tool.secondary(this.target)
+        return
+      }
+      if (e.button === 0 && this.attack()) return
+      if (e.button === 0) this.digging = true
+      if (e.button === 1) this.pickBlock()
       if (e.button === 2) this.placeBlock()
     })
+    document.addEventListener('mouseup', e => {
+      if (e.button === 0) this.digging = false
+    })
+    document.addEventListener('pointerlockchange', () => {
+      if (!document.pointerLockElement) this.digging = false
+    })
 
     document.addEventListener('contextmenu', e => e.preventDefault())
 
+    // Digit1–9 and the mouse wheel choose a hotbar slot
     document.addEventListener('keydown', e => {
-      const map = {
-        Digit1: BLOCKS.GRASS,
-        Digit2: BLOCKS.DIRT,
-        Digit3: BLOCKS.STONE,
-        Digit4: BLOCKS.WOOD,
-        Digit5: BLOCKS.LEAVES,
-        Digit6: BLOCKS.SAND,
-      }
-      if (map[e.code] !== undefined) this.selectedBlock = map[e.code]
+      const slot = Number(e.code.slice(5)) - 1
+      if (e.code.startsWith('Digit') && slot >= 0 && slot < HOTBAR_SIZE) this.inventory.select(slot)
+    })
+    document.addEventListener('wheel', e => {
+      if (!document.pointerLockElement || e.deltaY === 0) return
+      this.inventory.select(this.inventory.selected + Math.sign(e.deltaY))
     })
   }
 
+  // Block id in the selected hotbar slot, or undefined for an empty slot
+  get selectedBlock() {
+    return this.inventory.selectedItem?.id
+  }
+
+  // Start a fresh world: the registry's hotbar blocks in creative, nothing in survival
+  resetInventory() {
+    const blocks = this.gameMode === 'creative' ? hotbarBlocks().slice(0, HOTBAR_SIZE) : []
+    this.inventory.setState({ slots: blocks.map(id => ({ id, count: 1 })), selected: 0 })
+  }
+
+  get dead() {
+    return this.health <= 0
+  }
+
   spawn() {
-    const h = this.world.getSurfaceHeight(0, 0)
-    this.pos.set(0, h + 2, 0)
+    if (this.spawnPoint) {
+      this.pos.fromArray(this.spawnPoint)
+    } else {
+      const h = this.world.getSurfaceHeight(0, 0)
+      this.pos.set(0, h + 2, 0)
+    }
+    this.vel.set(0, 0, 0)
+  }
+
+  respawn() {
+    this.health    = MAX_HEALTH
+    this.breath    = MAX_BREATH
+    this.drownTime = 0
+    this.digging   = false
+    this.flying    = false
+    this.spawn()
+  }
+
+  // Lose health in survival; creative and the dead ignore it
+  damage(amount) {
+    if (this.gameMode !== 'survival' || this.dead || amount <= 0) return
+    this.health = Math.max(0, this.health - amount)
+    if (this.dead) {
+      this.digging = false
+      this.onDeath()
+    }
+  }
+
+  // Serializable snapshot for WorldStore
+  getState() {
+    return {
+      pos:       [this.pos.x, this.pos.y, this.pos.z],
+      yaw:       this.yaw,
+      pitch:     this.pitch,
+      inventory: this.inventory.getState(),
+      health:    this.health,
+      breath:    this.breath,
+    }
+  }
+
+  setState(state) {
+    this.pos.fromArray(state.pos)
+    this.vel.set(0, 0, 0)
+    this.yaw    = state.yaw
+    this.pitch  = state.pitch
+    this.health = state.health ?? MAX_HEALTH
+    this.breath = state.breath ?? MAX_BREATH
+    if (state.inventory) {
+      this.inventory.setState(state.inventory)
+    } else {
+      // Saved before the inventory existed: the old fixed hotbar, same block selected
+      this.resetInventory()
+      const slot = this.inventory.slots.findIndex(stack => stack?.id === state.selectedBlock)
+      this.inventory.select(Math.max(0, slot))
+    }
   }
 
   update(dt) {
-    this.updateCamera()
+    this.updateCamera(dt)
+    if (this.dead) {
+      this.target = null
+      return
+    }
+    this.target = this.raycast()
+    this.updateDigging(dt)
+    // Hold still until the chunk underfoot has arrived from the workers
+    if (!this.world.isLoadedAt(this.pos.x, this.pos.z)) return
     this.handleMovement(dt)
     this.applyPhysics(dt)
+    this.updateBreath(dt)
+  }
+
+  // Breath runs down while the head is under water and comes back quickly above it;
+  // once it's gone, drowning hurts once a second
+  updateBreath(dt) {
+    if (this.gameMode !== 'survival' || !this.isHeadInWater()) {
+      this.breath    = Math.min(MAX_BREATH, this.breath + BREATH_REFILL * dt)
+      this.drownTime = 0
+      return
+    }
+    this.breath = Math.max(0, this.breath - dt)
+    if (this.breath > 0) return
+    this.drownTime += dt
+    if (this.drownTime >= 1) {
+      this.drownTime -= 1
+      this.damage(DROWN_DAMAGE)
+    }
+  }
+
+  // Called with the downward speed when the player hits the ground. The fall height
+  // follows from v² = 2gh; water breaks the fall.
+  land(speed) {
+    if (this._isInWater()) return
+    const height = (speed * speed) / (2 * -GRAVITY)
+    this.damage(Math.floor(height - SAFE_FALL))
   }
 
-  updateCamera() {
+  // Dig into the targeted block while the button is held. Releasing it or looking at
+  // another block starts over; once a block breaks, the next one starts from zero.
+  // Creative breaks on contact, then waits a moment before breaking the next block.
+  updateDigging(dt) {
+    const hit = this.digging ? this.target?.hit : null
+    if (!hit) {
+      this.digPosition = null
+      this.digTime     = 0
+      this.digCooldown = 0
+      return
+    }
+    this.digCooldown = Math.max(0, this.digCooldown - dt)
+    if (this.digCooldown > 0) return
+
+    const dug = this.digPosition
+    if (!dug || dug.x !== hit.x || dug.y !== hit.y || dug.z !== hit.z) {
+      this.digPosition = hit
+      this.digTime     = 0
+    }
+
+    const block = this.world.getBlockWorld(hit.x, hit.y, hit.z)
+    if (!isBreakable(block)) return
+    this.digTime += dt
+    const hardness = this.gameMode === 'creative' ? 0 : getBlockType(block).hardness
+    if (this.digTime >= hardness) {
+      this.breakBlock(hit)
+      this.digPosition = null
+      this.digTime     = 0
+      if (this.gameMode === 'creative') this.digCooldown = DIG_REPEAT
+    }
+  }
+
+  // How far the current block is from breaking, 0–1
+  get digProgress() {
+    if (!this.digPosition || this.gameMode === 'creative') return 0
+    const { x, y, z } = this.digPosition
+    const hardness = getBlockType(this.world.getBlockWorld(x, y, z))?.hardness ?? 0
+    return hardness > 0 ? Math.min(1, this.digTime / hardness) : 0
+  }
+
+  // Eases the sneaking camera drop, steps up and the sprint FOV kick over dt
+  updateCamera(dt = 0) {
+    const ease = Math.min(1, dt * 12)
+    this.crouch += ((this.sneaking && !this.flying ? 1 : 0) - this.crouch) * ease
+    this.stepLag -= this.stepLag * ease
+
     this.camera.position.copy(this.pos)
-    this.camera.position.y += PLAYER_HEIGHT - 0.1
+    this.camera.position.y += PLAYER_HEIGHT - 0.1 - this.crouch * SNEAK_DROP - this.stepLag
     this.camera.rotation.order = 'YXZ'
     this.camera.rotation.y = this.yaw
     this.camera.rotation.x = this.pitch
+
+    const fov = this.baseFov + (this.sprinting ? FOV_KICK : 0)
+    if (Math.abs(this.camera.fov - fov) > 0.01) {
+      this.camera.fov += (fov - this.camera.fov) * ease
+      this.camera.updateProjectionMatrix()
+    }
   }
 
   _isInWater() {
-    const bx = Math.floor(this.pos.x)
-    const by = Math.floor(this.pos.y + PLAYER_HEIGHT * 0.5)
-    const bz = Math.floor(this.pos.z)
-    return this.world.getBlockWorld(bx, by, bz) === BLOCKS.WATER
+    return isInLiquid(this.world, this)
+  }
+
+  // Camera inside water, below the lowered surface of the top water block
+  isHeadInWater() {
+    const { x, y, z } = this.camera.position
+    const by    = Math.floor(y)
+    const block = this.world.getBlockWorld(Math.floor(x), by, Math.floor(z))
+    if (fluidOf(block) !== BLOCKS.WATER) return false
+    const above = this.world.getBlockWorld(Math.floor(x), by + 1, Math.floor(z))
+    return fluidOf(above) === BLOCKS.WATER || y - by < liquidSurface(block)
   }
 
   handleMovement(dt) {
+    if (this.gameMode !== 'creative') this.flying = false
+    const sneakKey = this.keys['ShiftLeft'] || this.keys['ShiftRight']
+    this.sneaking  = sneakKey && !this.flying
+    if (this.keys['KeyR'] && this.keys['KeyW']) this.sprinting = true
+    if (this.sneaking || !this.keys['KeyW']) this.sprinting = false
+
     // Reuse class-level vectors (#6)
     this._forward.set(-Math.sin(this.yaw), 0, -Math.cos(this.yaw))
     this._right.set(Math.cos(this.yaw), 0, -Math.sin(this.yaw))
@@ -107,12 +352,19 @@ export class Player {
     if (this.keys['KeyD']) this._move.add(this._right)
 
     if (this._move.lengthSq() > 0) {
-      this._move.normalize().multiplyScalar(MOVE_SPEED)
+      const speed = this.flying ? FLY_SPEED : this.sneaking ? SNEAK_SPEED : MOVE_SPEED
+      this._move.normalize().multiplyScalar(this.sprinting ? speed * SPRINT_FACTOR : speed)
     }
 
     this.vel.x = this._move.x
     this.vel.z = this._move.z
 
+    // Flying: Space climbs, Shift descends, no gravity
+    if (this.flying) {
+      this.vel.y = ((this.keys['Space'] ? 1 : 0) - (sneakKey ? 1 : 0)) * FLY_CLIMB
+      return
+    }
+
     const inWater = this._isInWater()
 
     if (inWater) {
@@ -129,159 +381,60 @@ export class Player {
   }
 
   applyPhysics(dt) {
-    const inWater = this._isInWater()
-
-    this.vel.y += (inWater ? WATER_GRAVITY : GRAVITY) * dt
-
-    // Damp vertical velocity in water (#19)
-    if (inWater && this.vel.y < 0) {
-      this.vel.y += WATER_DRAG * dt
-      if (this.vel.y > 0) this.vel.y = 0
-    }
-
-    this.pos.x += this.vel.x * dt
-    this.collideAxis('x')
-
-    this.pos.y += this.vel.y * dt
-    this.collideAxis('y')
-
-    this.pos.z += this.vel.z * dt
-    this.collideAxis('z')
-  }
-
-  collideAxis(axis) {
-    const w = PLAYER_WIDTH / 2
-
-    if (axis === 'y') {
-      // Separate feet/head checks so their resolution can't interfere (#3)
-      const corners = [[-w, -w], [w, -w], [-w, w], [w, w]]
-
-      if (this.vel.y <= 0) {
-        for (const [sx, sz] of corners) {
-          const bx    = Math.floor(this.pos.x + sx)
-          const by    = Math.floor(this.pos.y)
-          const bz    = Math.floor(this.pos.z + sz)
-          const block = this.world.getBlockWorld(bx, by, bz)
-          if (block !== BLOCKS.AIR && block !== BLOCKS.WATER && block > 0) {
-            this.pos.y    = by + 1
-            this.vel.y    = 0
-            this.onGround = true
-            return
-          }
-        }
-      } else {
-        for (const [sx, sz] of corners) {
-          const bx    = Math.floor(this.pos.x + sx)
-          const by    = Math.floor(this.pos.y + PLAYER_HEIGHT)
-          const bz    = Math.floor(this.pos.z + sz)
-          const block = this.world.getBlockWorld(bx, by, bz)
-          if (block !== BLOCKS.AIR && block !== BLOCKS.WATER && block > 0) {
-            this.pos.y = by - PLAYER_HEIGHT
-            this.vel.y = 0
-            return
-          }
-        }
-      }
-
-      if (this.vel.y !== 0) this.onGround = false
-      return
-    }
-
-    const offsets = []
-    if (axis === 'x') {
-      for (let dy = 0; dy <= Math.ceil(PLAYER_HEIGHT); dy++) {
-        offsets.push([ w, dy, 0], [-w, dy, 0])
-      }
-    } else {
-      for (let dy = 0; dy <= Math.ceil(PLAYER_HEIGHT); dy++) {
-        offsets.push([0, dy,  w], [0, dy, -w])
-      }
-    }
-
-    for (const [ox, oy, oz] of offsets) {
-      const bx    = Math.floor(this.pos.x + ox)
-      const by    = Math.floor(this.pos.y + oy)
-      const bz    = Math.floor(this.pos.z + oz)
-      const block = this.world.getBlockWorld(bx, by, bz)
-
-      if (block !== BLOCKS.AIR && block !== BLOCKS.WATER && block > 0) {
-        if (axis === 'x') {
-          this.pos.x = ox > 0 ? bx - w : bx + 1 + w
-          this.vel.x = 0
-        } else {
-          this.pos.z = oz > 0 ? bz - w : bz + 1 + w
-          this.vel.z = 0
-        }
-        break
-      }
-    }
+    if (!this.flying) applyGravity(this, dt, this._isInWater())
+
+    const y      = this.pos.y
+    const impact = moveAndCollide(this.world, this, dt)
+    if (impact > 0) this.land(impact)
+    // On the ground the body only rises by stepping up a ledge; the camera follows
+    // over a moment rather than jumping a block
+    if (this.onGround && this.pos.y > y) this.stepLag += this.pos.y - y
+    // Flying down onto the ground lands
+    if (this.flying && this.onGround) this.flying = false
   }
 
-  // DDA raycast — exact voxel traversal, no floating point step accumulation (#11)
+  // Block under the crosshair within reach, see raycastBlocks
   raycast() {
     this._euler.set(this.pitch, this.yaw, 0)
     this._rayDir.set(0, 0, -1).applyEuler(this._euler)
-    this._rayPos.copy(this.camera.position)
-
-    const dx = this._rayDir.x
-    const dy = this._rayDir.y
-    const dz = this._rayDir.z
-
-    let ix = Math.floor(this._rayPos.x)
-    let iy = Math.floor(this._rayPos.y)
-    let iz = Math.floor(this._rayPos.z)
-
-    const stepX = dx >= 0 ? 1 : -1
-    const stepY = dy >= 0 ? 1 : -1
-    const stepZ = dz >= 0 ? 1 : -1
-
-    const tDeltaX = Math.abs(1 / dx)
-    const tDeltaY = Math.abs(1 / dy)
-    const tDeltaZ = Math.abs(1 / dz)
-
-    const ox = this._rayPos.x - ix
-    const oy = this._rayPos.y - iy
-    const oz = this._rayPos.z - iz
-
-    let tMaxX = dx === 0 ? Infinity : (dx > 0 ? 1 - ox : ox) / Math.abs(dx)
-    let tMaxY = dy === 0 ? Infinity : (dy > 0 ? 1 - oy : oy) / Math.abs(dy)
-    let tMaxZ = dz === 0 ? Infinity : (dz > 0 ? 1 - oz : oz) / Math.abs(dz)
-
-    let lx = ix, ly = iy, lz = iz
-
-    while (Math.min(tMaxX, tMaxY, tMaxZ) < REACH) {
-      if (tMaxX < tMaxY && tMaxX < tMaxZ) {
-        lx = ix; ly = iy; lz = iz
-        ix += stepX; tMaxX += tDeltaX
-      } else if (tMaxY < tMaxZ) {
-        lx = ix; ly = iy; lz = iz
-        iy += stepY; tMaxY += tDeltaY
-      } else {
-        lx = ix; ly = iy; lz = iz
-        iz += stepZ; tMaxZ += tDeltaZ
-      }
+    return raycastBlocks(this.world, this.camera.position, this._rayDir, REACH)
+  }
 
-      const block = this.world.getBlockWorld(ix, iy, iz)
-      if (block !== BLOCKS.AIR && block > 0) {
-        return {
-          hit:    { x: ix, y: iy, z: iz },
-          before: { x: lx, y: ly, z: lz },
-        }
-      }
-    }
+  // Hit the entity under the crosshair, if there's one nearer than the targeted block.
+  // Returns whether there was.
+  attack() {
+    if (this.dead) return false
+    this._euler.set(this.pitch, this.yaw, 0)
+    this._rayDir.set(0, 0, -1).applyEuler(this._euler)
+    const hit = this.world.entities.raycast(this.camera.position, this._rayDir, this.target?.distance ?? REACH)
+    if (!hit) return false
+    hit.entity.hurt(ATTACK_DAMAGE, this.pos.x, this.pos.z)
+    return true
+  }
 
-    return null
+  breakBlock({ x, y, z }) {
+    const block = this.world.getBlockWorld(x, y, z)
+    if (!isBreakable(block)) return
+    this.world.transaction('break', () => this.world.setBlockWorld(x, y, z, BLOCKS.AIR))
+    this.onBlockBroken(block, x, y, z)
   }
 
-  breakBlock() {
-    const result = this.raycast()
-    if (result?.hit) {
-      const { x, y, z } = result.hit
-      this.world.setBlockWorld(x, y, z, BLOCKS.AIR)
+  // Creative only: put the targeted block in the hotbar, or select it if it's there
+  pickBlock() {
+    if (this.gameMode !== 'creative' || !this.target) return
+    const { x, y, z } = this.target.hit
+    const block = this.world.getBlockWorld(x, y, z)
+    const slot  = this.inventory.slots.findIndex(stack => stack?.id === block)
+    if (slot >= 0) {
+      this.inventory.select(slot)
+    } else {
+      this.inventory.set(this.inventory.selected, { id: block, count: 1 })
     }
   }
 
   placeBlock() {
+    const item = this.inventory.selectedItem
+    if (!item) return
     const result = this.raycast()
     if (!result?.before) return
 
@@ -294,6 +447,7 @@ export class Player {
     const overlapY = y + 1 > this.pos.y       && y < this.pos.y + PLAYER_HEIGHT
     if (overlapX && overlapZ && overlapY) return
 
-    this.world.setBlockWorld(x, y, z, this.selectedBlock)
+    this.world.transaction('place', () => this.world.setBlockWorld(x, y, z, item.id))
+    if (this.gameMode === 'survival') this.inventory.take(this.inventory.selected)
   }
 }
@@ -0,0 +1,17 @@
+// Plugin modules, loaded at startup on the page and in every chunk worker, before any
+// world is opened. A plugin registers its content when imported, e.g.
+//
+//   import { registerBlock } from '../blocks.js'
+//   registerBlock({ id: 100, name: 'lamp', color: 0xffe9a8, light: 15, hotbar: true })
+//
+// List plugin paths here, relative to this file.
+const PLUGINS = [
+]
+
+export function pluginUrls() {
+  return PLUGINS.map(path => new URL(path, import.meta.url).href)
+}
+
+export async function loadPlugins(urls = pluginUrls()) {
+  for (const url of urls) await import(url)
+}
@@ -0,0 +1,279 @@
+// Binary messages between the game (net.js) and the multiplayer server (server/).
+// A message is a type byte followed by its fields, little-endian. HELLO and WELCOME
+// carry PROTOCOL_VERSION, and the server turns away clients speaking another one,
+// so bump it whenever a message changes shape.
+//
+// Field types: u8, u16, u32, i32, f32, and str (a u8 byte length, then UTF-8).
+// Block lists are flat arrays, four numbers (x, y, z, block) per block; chunk edit
+// lists two (index into Chunk.data, block).
+
+export const PROTOCOL_VERSION = 1
+
+export const MAX_BATCH = 1 << 18 // blocks in one SET_BLOCKS message
+
+export const MSG = {
+  // Client to server
+  HELLO:        1, // version u16, name str
+  SUBSCRIBE:    2, // cx i32, cz i32: the client loaded this chunk and wants its edits
+  UNSUBSCRIBE:  3, // cx i32, cz i32
+  SET_BLOCKS:   4, // count u32, then x i32, y u8, z i32, block u8 each. Also sent
+                   // back by the server, to pass on other players' edits and to
+                   // tell the sender the server's value of each block it sent
+  MOVE:         5, // x f32, y f32, z f32, yaw f32, pitch f32
+
+  // Server to client
+  WELCOME:      16, // version u16, id u16, seed i32, gameMode u8 (see GAME_MODES)
+  CHUNK_EDITS:  17, // cx i32, cz i32, count u32, then index u16, block u8 each
+  PLAYER_JOIN:  18, // id u16, name str
+  PLAYER_LEAVE: 19, // id u16
+  PLAYER_MOVE:  20, // id u16, then as MOVE
+  ERROR:        21, // message str; the server closes the connection after it
+}
+
+export const GAME_MODES = ['survival', 'creative'] // index is the gameMode byte
+
+// --- Encoding ---
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+
+class Writer {
+  constructor(size = 64) {
+    this.bytes  = new Uint8Array(size)
+    this.view   = new DataView(this.bytes.buffer)
+    this.offset = 0
+  }
+
+  reserve(n) {
+    if (this.offset + n <= this.bytes.length) return
+    const bytes = new Uint8Array(Math.max(this.bytes.length * 2, this.offset + n))
+    bytes.set(this.bytes)
+    this.bytes = bytes
+    this.view  = new DataView(bytes.buffer)
+  }
+
+  put(method, size, value) {
+    this.reserve(size)
+    this.view[method](this.offset, value, true)
+    this.offset += size
+  }
+
+  u8(v)  { this.put('setUint8', 1, v) }
+  u16(v) { this.put('setUint16', 2, v) }
+  u32(v) { this.put('setUint32', 4, v) }
+  i32(v) { this.put('setInt32', 4, v) }
+  f32(v) { this.put('setFloat32', 4, v) }
+
+  str(text) {
+    const bytes = encoder.encode(text)
+    if (bytes.length > 255) throw new Error('Text too long for a message')
+    this.u8(bytes.length)
+    this.reserve(bytes.length)
+    this.bytes.set(bytes, this.offset)
+    this.offset += bytes.length
+  }
+
+  finish() {
+    return this.bytes.slice(0, this.offset)
+  }
+}
+
+// Running off the end makes DataView throw a RangeError; decode() reports that
+class Reader {
+  constructor(bytes) {
+    this.bytes  = bytes
+    this.view   = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    this.offset = 0
+  }
+
+  get(method, size) {
+    const value = this.view[method](this.offset, true)
+    this.offset += size
+    return value
+  }
+
+  u8()  { return this.get('getUint8', 1) }
+  u16() { return this.get('getUint16', 2) }
+  u32() { return this.get('getUint32', 4) }
+  i32() { return this.get('getInt32', 4) }
+  f32() { return this.get('getFloat32', 4) }
+
+  str() {
+    const length = this.u8()
+    if (this.offset + length > this.bytes.length) throw new RangeError('Text runs past the end')
+    const text = decoder.decode(this.bytes.subarray(this.offset, this.offset + length))
+    this.offset += length
+    return text
+  }
+
+  // A count of `size`-byte entries, checked against what's left before anything is
+  // allocated for them
+  count(size) {
+    const n = this.u32()
+    if (n * size > this.bytes.length - this.offset) throw new RangeError('Count runs past the end')
+    return n
+  }
+}
+
+function writePose(w, msg) {
+  w.f32(msg.x)
+  w.f32(msg.y)
+  w.f32(msg.z)
+  w.f32(msg.yaw)
+  w.f32(msg.pitch)
+}
+
+function readPose(r, msg) {
+  msg.x     = r.f32()
+  msg.y     = r.f32()
+  msg.z     = r.f32()
+  msg.yaw   = r.f32()
+  msg.pitch = r.f32()
+  return msg
+}
+
+// Every protocol version starts HELLO with the version, so a server can tell a client
+// speaking another version apart from a broken one. Null for anything but a HELLO.
+export function helloVersion(bytes) {
+  if (bytes.length < 3 || bytes[0] !== MSG.HELLO) return null
+  return bytes[1] | bytes[2] << 8
+}
+
+// msg: { type, ...fields named as in MSG }. Returns a Uint8Array.
+export function encode(msg) {
+  const w = new Writer()
+  w.u8(msg.type)
+  switch (msg.type) {
+    case MSG.HELLO:
+      w.u16(msg.version)
+      w.str(msg.name)
+      break
+    case MSG.SUBSCRIBE:
+    case MSG.UNSUBSCRIBE:
+      w.i32(msg.cx)
+      w.i32(msg.cz)
+      break
+    case MSG.SET_BLOCKS: {
+      const { blocks } = msg
+      w.u32(blocks.length / 4)
+      w.reserve(blocks.length / 4 * 10)
+      for (let i = 0; i < blocks.length; i += 4) {
+        w.i32(blocks[i])
+        w.u8(blocks[i + 1])
+        w.i32(blocks[i + 2])
+        w.u8(blocks[i + 3])
+      }
+      break
+    }
+    case MSG.MOVE:
+      writePose(w, msg)
+      break
+    case MSG.WELCOME:
+      w.u16(msg.version)
+      w.u16(msg.id)
+      w.i32(msg.seed)
+      w.u8(GAME_MODES.indexOf(msg.gameMode))
+      break
+    case MSG.CHUNK_EDITS: {
+      const { edits } = msg
+      w.i32(msg.cx)
+      w.i32(msg.cz)
+      w.u32(edits.length / 2)
+      w.reserve(edits.length / 2 * 3)
+      for (let i = 0; i < edits.length; i += 2) {
+        w.u16(edits[i])
+        w.u8(edits[i + 1])
+      }
+      break
+    }
+    case MSG.PLAYER_JOIN:
+      w.u16(msg.id)
+      w.str(msg.name)
+      break
+    case MSG.PLAYER_LEAVE:
+      w.u16(msg.id)
+      break
+    case MSG.PLAYER_MOVE:
+      w.u16(msg.id)
+      writePose(w, msg)
+      break
+    case MSG.ERROR:
+      w.str(msg.message)
+      break
+    default:
+      throw new Error(`Unknown message type ${msg.type}`)
+  }
+  return w.finish()
+}
+
+// bytes: a Uint8Array holding one whole message. Throws on anything malformed.
+export function decode(bytes) {
+  const r   = new Reader(bytes)
+  const msg = { type: null }
+  try {
+    msg.type = r.u8()
+    switch (msg.type) {
+      case MSG.HELLO:
+        msg.version = r.u16()
+        msg.name    = r.str()
+        break
+      case MSG.SUBSCRIBE:
+      case MSG.UNSUBSCRIBE:
+        msg.cx = r.i32()
+        msg.cz = r.i32()
+        break
+      case MSG.SET_BLOCKS: {
+        const n = r.count(10)
+        msg.blocks = new Array(n * 4)
+        for (let i = 0; i < n * 4; i += 4) {
+          msg.blocks[i]     = r.i32()
+          msg.blocks[i + 1] = r.u8()
+          msg.blocks[i + 2] = r.i32()
+          msg.blocks[i + 3] = r.u8()
+        }
+        break
+      }
+      case MSG.MOVE:
+        readPose(r, msg)
+        break
+      case MSG.WELCOME:
+        msg.version  = r.u16()
+        msg.id       = r.u16()
+        msg.seed     = r.i32()
+        msg.gameMode = GAME_MODES[r.u8()] ?? GAME_MODES[0]
+        break
+      case MSG.CHUNK_EDITS: {
+        msg.cx = r.i32()
+        msg.cz = r.i32()
+        const n = r.count(3)
+        msg.edits = new Array(n * 2)
+        for (let i = 0; i < n * 2; i += 2) {
+          msg.edits[i]     = r.u16()
+          msg.edits[i + 1] = r.u8()
+        }
+        break
+      }
+      case MSG.PLAYER_JOIN:
+        msg.id   = r.u16()
+        msg.name = r.str()
+        break
+      case MSG.PLAYER_LEAVE:
+        msg.id = r.u16()
+        break
+      case MSG.PLAYER_MOVE:
+        msg.id = r.u16()
+        readPose(r, msg)
+        break
+      case MSG.ERROR:
+        msg.message = r.str()
+        break
+      default:
+        throw new Error(`Unknown message type ${msg.type}`)
+    }
+  } catch (err) {
+    if (err instanceof RangeError) throw new Error(`Message type ${msg.type} is cut short`)
+    throw err
+  }
+  if (r.offset !== bytes.length) throw new Error(`Message type ${msg.type} has ${bytes.length - r.offset} bytes left over`)
+  return msg
+}
@@ -0,0 +1,63 @@
+import { isLiquid } from './blocks.js'
+
+// DDA raycast — exact voxel traversal, no floating point step accumulation (#11).
+// Walks the voxels a ray from `origin` along the unit vector `dir` (both { x, y, z })
+// passes through, and returns the first block it hits within `range` as {
+//   hit      — the block, { x, y, z }
+//   before   — the voxel the ray was in just before it, where a placed block goes
+//   distance — along the ray to where it enters the block
+// }
+// or null. Liquids are looked through, so what's under or behind water can be dug or
+// picked, and a block placed against it replaces the liquid in front.
+export function raycastBlocks(world, origin, dir, range) {
+  const dx = dir.x
+  const dy = dir.y
+  const dz = dir.z
+
+  let ix = Math.floor(origin.x)
+  let iy = Math.floor(origin.y)
+  let iz = Math.floor(origin.z)
+
+  const stepX = dx >= 0 ? 1 : -1
+  const stepY = dy >= 0 ? 1 : -1
+  const stepZ = dz >= 0 ? 1 : -1
+
+  const tDeltaX = Math.abs(1 / dx)
+  const tDeltaY = Math.abs(1 / dy)
+  const tDeltaZ = Math.abs(1 / dz)
+
+  const ox = origin.x - ix
+  const oy = origin.y - iy
+  const oz = origin.z - iz
+
+  let tMaxX = dx === 0 ? Infinity : (dx > 0 ? 1 - ox : ox) / Math.abs(dx)
+  let tMaxY = dy === 0 ? Infinity : (dy > 0 ? 1 - oy : oy) / Math.abs(dy)
+  let tMaxZ = dz === 0 ? Infinity : (dz > 0 ? 1 - oz : oz) / Math.abs(dz)
+
+  let lx = ix, ly = iy, lz = iz
+
+  while (Math.min(tMaxX, tMaxY, tMaxZ) < range) {
+    const distance = Math.min(tMaxX, tMaxY, tMaxZ) // along the ray to the next voxel
+    if (tMaxX < tMaxY && tMaxX < tMaxZ) {
+      lx = ix; ly = iy; lz = iz
+      ix += stepX; tMaxX += tDeltaX
+    } else if (tMaxY < tMaxZ) {
+      lx = ix; ly = iy; lz = iz
+      iy += stepY; tMaxY += tDeltaY
+    } else {
+      lx = ix; ly = iy; lz = iz
+      iz += stepZ; tMaxZ += tDeltaZ
+    }
+
+    const block = world.getBlockWorld(ix, iy, iz)
+    if (block > 0 && !isLiquid(block)) {
+      return {
+        hit:      { x: ix, y: iy, z: iz },
+        before:   { x: lx, y: ly, z: lz },
+        distance,
+      }
+    }
+  }
+
+  return null
+}
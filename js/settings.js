@@ -0,0 +1,22 @@
+// Player preferences that apply to every world, kept in localStorage
+
+const STORAGE_KEY = 'boxworld.settings'
+
+const DEFAULTS = {
+  ambientOcclusion: true,
+  dayLength:        20, // minutes for a whole day and night; 0 stops the clock
+  serverUrl:        'ws://localhost:8080', // last server joined, see server/server.js
+  playerName:       '',
+}
+
+export function loadSettings() {
+  try {
+    return { ...DEFAULTS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) }
+  } catch {
+    return { ...DEFAULTS }
+  }
+}
+
+export function saveSettings(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings))
+}
@@ -0,0 +1,161 @@
+import * as THREE from 'three'
+import { setDaylight } from './chunkMesh.js'
+
+// Time of day: moves the sun and moon, blends the sky and fog through dawn, day,
+// dusk and night, dims sky light on blocks (setDaylight) and shows stars at night.
+//
+// Time is a fraction of a day: 0 is midnight, 0.25 sunrise, 0.5 noon, 0.75 sunset.
+
+export const DEFAULT_DAY_LENGTH = 20 * 60 // s for a whole day
+export const START_TIME         = 0.3     // new worlds start in the morning
+
+const NAMED_TIMES = {
+  midnight: 0,
+  sunrise:  0.25,
+  dawn:     0.25,
+  day:      0.3,
+  morning:  0.3,
+  noon:     0.5,
+  sunset:   0.75,
+  dusk:     0.75,
+  night:    0.8,
+}
+
+// "noon", "18:30" or hours ("6", "21.5") -> a time of day
+export function parseTime(text) {
+  const str = String(text ?? '').trim().toLowerCase()
+  if (str in NAMED_TIMES) return NAMED_TIMES[str]
+  const match = /^(\d{1,2})(?::(\d{2}))?$/.exec(str) ?? /^(\d{1,2}(?:\.\d+)?)$/.exec(str)
+  const hours = match ? Number(match[1]) + Number(match[2] ?? 0) / 60 : NaN
+  if (!(hours >= 0 && hours <= 24) || Number(match?.[2] ?? 0) >= 60) {
+    throw new Error(`"${text ?? ''}" is not a time; try 6:30, 18, noon or midnight`)
+  }
+  return (hours / 24) % 1
+}
+
+// A time of day as "HH:MM"
+export function formatTime(time) {
+  const minutes = Math.floor(time * 24 * 60) % (24 * 60)
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+}
+
+// Sky and fog colors by sun height; in between they blend
+const NIGHT_SKY    = new THREE.Color(0x0b1330)
+const TWILIGHT_SKY = new THREE.Color(0xe08a5c)
+const DAY_SKY      = new THREE.Color(0x87ceeb)
+const NIGHT_FOG    = new THREE.Color(0x0a1024)
+const TWILIGHT_FOG = new THREE.Color(0xc9866a)
+const DAY_FOG      = new THREE.Color(0x9fd6ee)
+const SUN_COLOR    = new THREE.Color(0xfffbe0)
+const LOW_SUN      = new THREE.Color(0xffb070) // the sun's light near the horizon
+const MOON_COLOR   = new THREE.Color(0x9fb4e0)
+
+const NIGHT_BELOW  = -0.2 // sun height (sin of its angle) where it's fully night
+const DAY_ABOVE    = 0.25 // and fully day
+const MIN_DAYLIGHT = 0.2  // sky light left at night
+const TILT         = 0.35 // radians the sun's path leans south, so noon light isn't straight down
+
+const SKY_DISTANCE   = 500 // sun, moon and stars sit this far from the camera, inside its far plane
+const STAR_COUNT     = 900
+const LIGHT_DISTANCE = 120
+
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)))
+  return t * t * (3 - 2 * t)
+}
+
+function createStars() {
+  let seed = 11
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647
+  const positions = new Float32Array(STAR_COUNT * 3)
+  for (let i = 0; i < STAR_COUNT; i++) {
+    // Uniform over the sphere
+    const y = random() * 2 - 1
+    const a = random() * Math.PI * 2
+    const r = Math.sqrt(1 - y * y)
+    positions.set([Math.cos(a) * r * SKY_DISTANCE, y * SKY_DISTANCE, Math.sin(a) * r * SKY_DISTANCE], i * 3)
+  }
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3))
+  return new THREE.Points(geometry, new THREE.PointsMaterial({
+    color: 0xffffff, size: 2, sizeAttenuation: false, transparent: true, fog: false, depthWrite: false,
+  }))
+}
+
+function createDisc(color, size) {
+  return new THREE.Mesh(
+    new THREE.PlaneGeometry(size, size),
+    new THREE.MeshBasicMaterial({ color, fog: false, depthWrite: false })
+  )
+}
+
+export class Sky {
+  // fog: the scene's above-water fog, recolored with the sky
+  constructor(scene, fog) {
+    this.scene     = scene
+    this.fog       = fog
+    this.time      = START_TIME
+    this.dayLength = DEFAULT_DAY_LENGTH // s; 0 stops the clock
+    this.skyColor  = DAY_SKY.clone()    // for scene.background, updated every frame
+    this.daylight  = 1                  // share of sky light blocks get, see setDaylight
+
+    // These only add directional shading on top of the light baked into chunk meshes
+    // (see lighting.js), which also stands in for shadows, so nothing casts any;
+    // `daylight` handles how much sky light there is
+    this.ambient = new THREE.AmbientLight(0xffffff, 0.6)
+    this.sun     = new THREE.DirectionalLight(SUN_COLOR, 1.2)
+    scene.add(this.ambient, this.sun, this.sun.target)
+
+    // Sun, moon and stars move with the camera, so they look infinitely far away
+    this.dome     = new THREE.Group()
+    this.sunDisc  = createDisc(0xfff2b0, 60)
+    this.moonDisc = createDisc(0xdde6f5, 36)
+    this.stars    = createStars()
+    this.dome.add(this.stars, this.sunDisc, this.moonDisc)
+    scene.add(this.dome)
+
+    this.sunDir = new THREE.Vector3() // toward the sun
+  }
+
+  // Call every frame. center: the player's position, which the light follows; camera:
+  // where the dome is drawn around.
+  update(dt, center, camera) {
+    if (this.dayLength > 0) this.time = (this.time + dt / this.dayLength) % 1
+
+    // The sun rises in the east (+x) at 0.25 and sets in the west at 0.75
+    const angle  = (this.time - 0.25) * Math.PI * 2
+    const height = Math.sin(angle)
+    this.sunDir.set(Math.cos(angle), height * Math.cos(TILT), height * Math.sin(TILT))
+
+    const day      = smoothstep(NIGHT_BELOW, DAY_ABOVE, height)
+    const twilight = 1 - Math.abs(height - (NIGHT_BELOW + DAY_ABOVE) / 2) / ((DAY_ABOVE - NIGHT_BELOW) / 2)
+    this._blend(this.skyColor, day, Math.max(0, twilight), NIGHT_SKY, TWILIGHT_SKY, DAY_SKY)
+    this._blend(this.fog.color, day, Math.max(0, twilight), NIGHT_FOG, TWILIGHT_FOG, DAY_FOG)
+    this.daylight = MIN_DAYLIGHT + (1 - MIN_DAYLIGHT) * day
+    setDaylight(this.daylight)
+
+    // One directional light: the sun while it's up, the moon otherwise
+    const sunUp = height > 0
+    this.sun.color.copy(sunUp ? SUN_COLOR : MOON_COLOR)
+    if (sunUp) this.sun.color.lerp(LOW_SUN, 1 - smoothstep(0, DAY_ABOVE, height))
+    this.sun.intensity     = sunUp ? 1.2 * smoothstep(0, 0.15, height) : 0.2 * smoothstep(0, 0.15, -height)
+    this.ambient.intensity = 0.45 + 0.15 * day
+    this.sun.position.copy(center).addScaledVector(this.sunDir, sunUp ? LIGHT_DISTANCE : -LIGHT_DISTANCE)
+    this.sun.target.position.copy(center)
+    this.sun.target.updateMatrixWorld()
+
+    this.dome.position.copy(camera.position)
+    this.sunDisc.position.copy(this.sunDir).multiplyScalar(SKY_DISTANCE)
+    this.moonDisc.position.copy(this.sunDir).multiplyScalar(-SKY_DISTANCE)
+    this.sunDisc.lookAt(camera.position)
+    this.moonDisc.lookAt(camera.position)
+    this.stars.rotation.z       = angle // the sky turns with the sun
+    this.stars.material.opacity = 1 - smoothstep(NIGHT_BELOW, 0.05, height)
+    this.stars.visible          = this.stars.material.opacity > 0
+  }
+
+  // Night to day through twilight, with twilight's share on top
+  _blend(out, day, twilight, night, dusk, noon) {
+    out.copy(night).lerp(noon, day).lerp(dusk, twilight * 0.6)
+  }
+}
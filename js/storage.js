@@ -0,0 +1,95 @@
+// IndexedDB persistence for edited chunks and per-world metadata (player state etc.)
+
+const DB_NAME    = 'boxworld'
+const DB_VERSION = 1
+
+// Wrap an IDBRequest / IDBTransaction in a promise
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror   = () => reject(req.error)
+  })
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve()
+    tx.onerror    = () => reject(tx.error)
+    tx.onabort    = () => reject(tx.error)
+  })
+}
+
+// Worlds saved before seeds were configurable all used the fixed seed 42, and worlds
+// from before game modes played like creative
+function upgradeMeta(meta) {
+  if (meta && meta.seed === undefined) meta = { ...meta, seed: 42 }
+  if (meta && meta.gameMode === undefined) meta = { ...meta, gameMode: 'creative' }
+  return meta
+}
+
+export class WorldStore {
+  static open() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION)
+      req.onupgradeneeded = () => {
+        const db = req.result
+        if (!db.objectStoreNames.contains('worlds')) {
+          db.createObjectStore('worlds', { keyPath: 'id' })
+        }
+        if (!db.objectStoreNames.contains('chunks')) {
+          const chunks = db.createObjectStore('chunks', { keyPath: ['worldId', 'cx', 'cz'] })
+          chunks.createIndex('worldId', 'worldId')
+        }
+      }
+      req.onsuccess = () => resolve(new WorldStore(req.result))
+      req.onerror   = () => reject(req.error)
+    })
+  }
+
+  constructor(db) {
+    this.db = db
+  }
+
+  async listWorlds() {
+    const tx = this.db.transaction('worlds', 'readonly')
+    const worlds = await request(tx.objectStore('worlds').getAll())
+    return worlds.map(upgradeMeta)
+  }
+
+  async getWorld(id) {
+    const tx = this.db.transaction('worlds', 'readonly')
+    return upgradeMeta(await request(tx.objectStore('worlds').get(id))) || null
+  }
+
+  async putWorld(meta) {
+    const tx = this.db.transaction('worlds', 'readwrite')
+    tx.objectStore('worlds').put(meta)
+    await transactionDone(tx)
+  }
+
+  async deleteWorld(id) {
+    const tx = this.db.transaction(['worlds', 'chunks'], 'readwrite')
+    tx.objectStore('worlds').delete(id)
+    const chunks = tx.objectStore('chunks')
+    const keys   = await request(chunks.index('worldId').getAllKeys(id))
+    for (const key of keys) chunks.delete(key)
+    await transactionDone(tx)
+  }
+
+  // One saved chunk's block data, or null if it was never saved. Read as chunks come
+  // into range (VoxelWorld.loadSaved), so opening a world doesn't read every edit.
+  async loadChunk(worldId, cx, cz) {
+    const tx     = this.db.transaction('chunks', 'readonly')
+    const record = await request(tx.objectStore('chunks').get([worldId, cx, cz]))
+    return record?.data ?? null
+  }
+
+  // entries: [{ cx, cz, data }] — data is structured-cloned at put() time
+  async saveChunks(worldId, entries) {
+    if (entries.length === 0) return
+    const tx    = this.db.transaction('chunks', 'readwrite')
+    const store = tx.objectStore('chunks')
+    for (const { cx, cz, data } of entries) store.put({ worldId, cx, cz, data })
+    await transactionDone(tx)
+  }
+}
@@ -0,0 +1,56 @@
+import { CHUNK_SIZE } from './chunk.js'
+import { BLOCKS } from './blocks.js'
+
+// Structures (trees, boulders, huts…) are rooted in one column but may reach into
+// neighboring chunks. Instead of relying on out-of-bounds writes being dropped, every
+// chunk asks which structures rooted within `radius` blocks of it overlap, and writes
+// only its own part of each. Candidates are always visited in the same world-space
+// order, so a structure looks the same whichever chunk happens to load first.
+//
+// A structure type is { name, radius, at(gen, wx, wz, heightAt), place(out, wx, wz, params) }:
+//   radius — max horizontal reach from the root column, in blocks
+//   at     — returns placement params if a structure is rooted at (wx, wz), else null.
+//            Must depend only on the generator and position, never on chunk contents.
+//   place  — writes blocks through a ChunkWriter (world coordinates)
+const STRUCTURES = []
+
+export function registerStructure(type) {
+  STRUCTURES.push(type)
+}
+
+// World-coordinate view of one chunk that clips writes to the chunk's bounds
+class ChunkWriter {
+  constructor(chunk) {
+    this.chunk = chunk
+    this.x0    = chunk.cx * CHUNK_SIZE
+    this.z0    = chunk.cz * CHUNK_SIZE
+  }
+
+  get(wx, wy, wz) {
+    return this.chunk.getBlock(wx - this.x0, wy, wz - this.z0)
+  }
+
+  set(wx, wy, wz, type) {
+    this.chunk.setBlock(wx - this.x0, wy, wz - this.z0, type)
+  }
+
+  // For foliage and other soft blocks that shouldn't cut into terrain or trunks
+  setIfAir(wx, wy, wz, type) {
+    if (this.get(wx, wy, wz) === BLOCKS.AIR) this.set(wx, wy, wz, type)
+  }
+}
+
+// heightAt(wx, wz) — terrain surface height for any column, inside the chunk or not
+export function placeStructures(gen, chunk, heightAt) {
+  const out = new ChunkWriter(chunk)
+
+  for (const type of STRUCTURES) {
+    const r = type.radius
+    for (let wz = out.z0 - r; wz < out.z0 + CHUNK_SIZE + r; wz++) {
+      for (let wx = out.x0 - r; wx < out.x0 + CHUNK_SIZE + r; wx++) {
+        const params = type.at(gen, wx, wz, heightAt)
+        if (params) type.place(out, wx, wz, params)
+      }
+    }
+  }
+}
@@ -1,56 +1,170 @@
-import { BLOCKS, CHUNK_SIZE, CHUNK_HEIGHT } from './chunk.js'
-import { PerlinNoise } from './noise.js'
+import { CHUNK_SIZE, CHUNK_HEIGHT } from './chunk.js'
+import { BLOCKS } from './blocks.js'
+import { PerlinNoise, hash2D } from './noise.js'
+import { registerStructure, placeStructures } from './structures.js'
+import { BIOMES, FREEZING, MAX_TREE_DENSITY, sampleBiomes } from './biomes.js'
 
-const noise = new PerlinNoise(42) // change 42 to any number for a different world
-
-const SEA_LEVEL  = 12
-const STONE_DEPTH = 4 // how many blocks of dirt before stone
+// Turn a seed as typed by the player into a 32-bit integer. Whole numbers are used
+// directly, anything else is hashed, and a blank seed picks a random one.
+export function parseSeed(text) {
+  const str = String(text ?? '').trim()
+  if (str === '') return Math.floor(Math.random() * 2147483647)
+  if (/^-?\d+$/.test(str) && Number.isSafeInteger(Number(str))) return Number(str) | 0
+  let h = 0
+  for (let i = 0; i < str.length; i++) h = (Math.imul(h, 31) + str.charCodeAt(i)) | 0
+  return h
+}
 
-// Deterministic tree check — ~8% of eligible positions get a tree
-function treeAt(wx, wz) {
-  const h = Math.abs(Math.sin(wx * 127.1 + wz * 311.7) * 43758.5) % 1
-  return h > 0.92
+// Everything seed-dependent about a world. One instance per World, so several
+// worlds with different seeds can coexist.
+export class TerrainGenerator {
+  constructor(seed) {
+    this.seed  = seed
+    this.noise = new PerlinNoise(seed)
+    // Independent fields for carving and biomes, derived from the same seed
+    this.caveA       = new PerlinNoise(seed + 1)
+    this.caveB       = new PerlinNoise(seed + 2)
+    this.ravine      = new PerlinNoise(seed + 3)
+    this.temperature = new PerlinNoise(seed + 4)
+    this.humidity    = new PerlinNoise(seed + 5)
+    this.hills       = new PerlinNoise(seed + 6)
+  }
 }
 
-export function getTerrainHeight(wx, wz) {
-  const base   = noise.octaves(wx, wz, 4, 0.5, 0.004) // large scale hills
-  const detail = noise.octaves(wx, wz, 2, 0.5, 0.02)  // fine surface detail
-  const height = Math.floor(SEA_LEVEL + base * 20 + detail * 5)
+const SEA_LEVEL = 12
+
+// Carving
+const CAVE_SCALE   = 0.045  // horizontal frequency of the cave noise
+const CAVE_SQUASH  = 1.6    // > 1 makes tunnels flatter than they are wide
+const CAVE_RADIUS  = 0.012  // threshold on a² + b² — larger means wider tunnels
+const RAVINE_DEPTH = 28     // max depth below the surface, at a ravine's centerline
+const OCEAN_ROOF   = 4      // solid blocks kept between any seabed and the caves below
+
+export function getTerrainHeight(gen, wx, wz) {
+  const { noise } = gen
+  const shape  = sampleBiomes(gen, wx, wz)
+  const base   = noise.octaves(wx, wz, 4, 0.5, 0.004)                 // continents, large scale hills
+  const hills  = (gen.hills.octaves(wx, wz, 3, 0.5, 0.01) + 1) / 2   // biome relief, in [0, 1]
+  const detail = noise.octaves(wx, wz, 2, 0.5, 0.02)                  // fine surface detail
+  const height = Math.floor(SEA_LEVEL + base * 16 + shape.offset + hills * shape.amplitude + detail * 3)
   return Math.max(1, Math.min(height, CHUNK_HEIGHT - 10))
 }
 
-export function generateChunk(chunk) {
+// Ravines are narrow bands along the zero line of a 2D noise field, masked by a
+// second lower-frequency field so only some of them open up. Returns how many
+// blocks below the surface this column is cut, 0 outside ravines.
+function ravineDepth(gen, wx, wz) {
+  const strength = gen.ravine.noise2D(wx * 0.003 + 500, wz * 0.003 + 500) - 0.3
+  if (strength <= 0) return 0
+  const halfWidth = strength * 0.12
+  const d = Math.abs(gen.ravine.noise2D(wx * 0.01, wz * 0.01))
+  if (d >= halfWidth) return 0
+  return Math.floor(RAVINE_DEPTH * (1 - d / halfWidth))
+}
+
+// Land biomes shape the terrain; the shoreline and seabed then get their own biome.
+// Swamps keep theirs underwater so their pools don't turn into sandy beaches.
+function surfaceBiome(land, height) {
+  if (land.wetSurface !== undefined && height > SEA_LEVEL - 3) return land
+  if (height < SEA_LEVEL) return BIOMES.ocean
+  if (height <= SEA_LEVEL + 1) return BIOMES.beach
+  return land
+}
+
+// Per-column generation inputs. `floor` is the lowest surface among the column and
+// its four neighbors: anything that low or lower may have water on top, and carving
+// next to it would let the sea pour into the cave.
+export function columnInfo(gen, wx, wz, heightAt) {
+  const height = heightAt(wx, wz)
+  const floor  = Math.min(
+    height,
+    heightAt(wx - 1, wz), heightAt(wx + 1, wz),
+    heightAt(wx, wz - 1), heightAt(wx, wz + 1)
+  )
+  const { biome, temperature } = sampleBiomes(gen, wx, wz)
+  return {
+    height,
+    floor,
+    ravine: ravineDepth(gen, wx, wz),
+    biome:  surfaceBiome(biome, height),
+    temperature,
+  }
+}
+
+export function getBiome(gen, wx, wz) {
+  return columnInfo(gen, wx, wz, (x, z) => getTerrainHeight(gen, x, z)).biome
+}
+
+// Whether terrain at this position is carved out by a cave or ravine.
+// Pure function of the seed and position, so it's the same whichever chunk asks.
+export function isCarved(gen, wx, wy, wz, col) {
+  if (wy <= 0 || wy > col.height) return false
+  if (col.floor <= SEA_LEVEL && wy > col.floor - OCEAN_ROOF) return false
+
+  if (col.ravine > 0 && wy > col.height - col.ravine) return true
+
+  // Spaghetti caves: tunnels run where two independent 3D fields are both near zero
+  const x = wx * CAVE_SCALE
+  const y = wy * CAVE_SCALE * CAVE_SQUASH
+  const z = wz * CAVE_SCALE
+  const a = gen.caveA.noise3D(x, y, z)
+  const b = gen.caveB.noise3D(x, y, z)
+  return a * a + b * b < CAVE_RADIUS
+}
+
+export function generateChunk(gen, chunk) {
   const { cx, cz } = chunk
+  const x0 = cx * CHUNK_SIZE
+  const z0 = cz * CHUNK_SIZE
 
-  // Height cache — getTerrainHeight called once per column, not twice (#10)
-  const heights = new Int32Array(CHUNK_SIZE * CHUNK_SIZE)
-  for (let z = 0; z < CHUNK_SIZE; z++) {
-    for (let x = 0; x < CHUNK_SIZE; x++) {
-      heights[z * CHUNK_SIZE + x] = getTerrainHeight(
-        cx * CHUNK_SIZE + x,
-        cz * CHUNK_SIZE + z
-      )
+  // Height cache — getTerrainHeight called once per column, not twice (#10).
+  // Padded by one column on each side for columnInfo's neighbor lookups.
+  const P       = CHUNK_SIZE + 2
+  const heights = new Int32Array(P * P)
+  for (let z = 0; z < P; z++) {
+    for (let x = 0; x < P; x++) {
+      heights[z * P + x] = getTerrainHeight(gen, x0 + x - 1, z0 + z - 1)
     }
   }
+  const heightAt = (wx, wz) => {
+    const x = wx - x0 + 1
+    const z = wz - z0 + 1
+    if (x >= 0 && x < P && z >= 0 && z < P) return heights[z * P + x]
+    return getTerrainHeight(gen, wx, wz)
+  }
 
-  // First pass: terrain blocks
+  // First pass: terrain blocks, with caves and ravines carved out
   for (let z = 0; z < CHUNK_SIZE; z++) {
     for (let x = 0; x < CHUNK_SIZE; x++) {
-      const terrainH = heights[z * CHUNK_SIZE + x]
+      const col      = columnInfo(gen, x0 + x, z0 + z, heightAt)
+      const terrainH = col.height
+      const biome    = col.biome
+      const frozen   = col.temperature < FREEZING
+
+      let surface    = terrainH < SEA_LEVEL ? biome.wetSurface ?? biome.surface : biome.surface
+      let subsurface = biome.subsurface
+      if (frozen && (biome === BIOMES.beach || biome === BIOMES.ocean)) {
+        surface = subsurface = BLOCKS.GRAVEL
+      } else if (biome === BIOMES.ocean && terrainH < SEA_LEVEL - 6) {
+        surface = BLOCKS.GRAVEL // deep seabed
+      }
 
       for (let y = 0; y < CHUNK_HEIGHT; y++) {
         let block
 
         if (y === 0) {
           block = BLOCKS.STONE
-        } else if (y < terrainH - STONE_DEPTH) {
+        } else if (isCarved(gen, x0 + x, y, z0 + z, col)) {
+          block = BLOCKS.AIR
+        } else if (y < terrainH - biome.depth) {
           block = BLOCKS.STONE
         } else if (y < terrainH) {
-          block = BLOCKS.DIRT
+          block = subsurface
         } else if (y === terrainH) {
-          block = terrainH <= SEA_LEVEL + 1 ? BLOCKS.SAND : BLOCKS.GRASS
+          block = surface
         } else if (y <= SEA_LEVEL) {
-          block = BLOCKS.WATER // (#1) fixed: was `else if (y <= SEA_LEVEL && block === BLOCKS.AIR)`
+          // (#1) fixed: was `else if (y <= SEA_LEVEL && block === BLOCKS.AIR)`
+          block = y === SEA_LEVEL && frozen ? BLOCKS.ICE : BLOCKS.WATER
         } else {
           block = BLOCKS.AIR
         }
@@ -60,36 +174,87 @@ export function generateChunk(chunk) {
     }
   }
 
-  // Second pass: trees — reads height cache, no recomputation (#10)
-  for (let z = 0; z < CHUNK_SIZE; z++) {
-    for (let x = 0; x < CHUNK_SIZE; x++) {
-      const wx      = cx * CHUNK_SIZE + x
-      const wz      = cz * CHUNK_SIZE + z
-      const terrainH = heights[z * CHUNK_SIZE + x]
+  // Second pass: structures, including those rooted in neighboring chunks
+  placeStructures(gen, chunk, heightAt)
+}
 
-      if (terrainH > SEA_LEVEL + 2 && treeAt(wx, wz)) {
-        placeTree(chunk, x, terrainH + 1, z)
-      }
+// Tree shapes, each rooted at (x, y, z) — the block above the surface. `size` is a
+// per-tree random number in [0, 1) for variation. All of them reach at most
+// TREE_RADIUS blocks from the trunk.
+const TREE_RADIUS = 3
+
+function leafDisc(out, x, y, z, r, block) {
+  for (let dx = -r; dx <= r; dx++) {
+    for (let dz = -r; dz <= r; dz++) {
+      if (r > 0 && Math.abs(dx) === r && Math.abs(dz) === r) continue // round off corners
+      out.setIfAir(x + dx, y, z + dz, block)
     }
   }
 }
 
-// Out-of-bounds leaf writes are silently discarded by chunk.setBlock (#4)
-function placeTree(chunk, x, y, z) {
-  const trunkHeight = 4
+function trunk(out, x, y, z, height, block = BLOCKS.WOOD) {
+  for (let i = 0; i < height; i++) out.set(x, y + i, z, block)
+}
 
-  for (let i = 0; i < trunkHeight; i++) {
-    chunk.setBlock(x, y + i, z, BLOCKS.WOOD)
-  }
+const TREES = {
+  oak(out, x, y, z, size) {
+    const trunkHeight = 4 + Math.floor(size * 2)
+    trunk(out, x, y, z, trunkHeight)
 
-  const top = y + trunkHeight
-  for (let dy = -1; dy <= 1; dy++) {
-    for (let dx = -2; dx <= 2; dx++) {
-      for (let dz = -2; dz <= 2; dz++) {
-        if (Math.abs(dx) === 2 && Math.abs(dz) === 2) continue
-        chunk.setBlock(x + dx, top + dy, z + dz, BLOCKS.LEAVES)
-      }
+    const top = y + trunkHeight
+    for (let dy = -1; dy <= 1; dy++) leafDisc(out, x, top + dy, z, 2, BLOCKS.LEAVES)
+    out.setIfAir(x, top + 2, z, BLOCKS.LEAVES)
+  },
+
+  // Narrow cone of alternating wide and narrow layers
+  spruce(out, x, y, z, size) {
+    const trunkHeight = 6 + Math.floor(size * 3)
+    trunk(out, x, y, z, trunkHeight)
+
+    const top = y + trunkHeight
+    for (let ly = y + 2; ly <= top; ly++) {
+      const fromTop = top - ly
+      const r = fromTop === 0 ? 0 : fromTop % 2 === 1 ? 1 : 2
+      leafDisc(out, x, ly, z, r, BLOCKS.SPRUCE_LEAVES)
     }
-  }
-  chunk.setBlock(x, top + 2, z, BLOCKS.LEAVES)
+    out.setIfAir(x, top + 1, z, BLOCKS.SPRUCE_LEAVES)
+  },
+
+  // Low, flat canopy with leaves hanging off the edges
+  swamp(out, x, y, z, size) {
+    const trunkHeight = 4 + Math.floor(size * 2)
+    trunk(out, x, y, z, trunkHeight)
+
+    const top = y + trunkHeight
+    leafDisc(out, x, top - 1, z, 3, BLOCKS.LEAVES)
+    leafDisc(out, x, top,     z, 2, BLOCKS.LEAVES)
+    for (const [dx, dz] of [[3, 0], [-3, 0], [0, 3], [0, -3]]) {
+      out.setIfAir(x + dx, top - 2, z + dz, BLOCKS.LEAVES)
+      out.setIfAir(x + dx, top - 3, z + dz, BLOCKS.LEAVES)
+    }
+  },
+
+  cactus(out, x, y, z, size) {
+    trunk(out, x, y, z, 1 + Math.floor(size * 3), BLOCKS.CACTUS)
+  },
 }
+
+// Tree density and type come from the biome of the root column
+registerStructure({
+  name:   'tree',
+  radius: TREE_RADIUS,
+
+  at(gen, wx, wz, heightAt) {
+    const roll = hash2D(gen.seed, wx, wz)
+    if (roll >= MAX_TREE_DENSITY) return null // cheap early out before sampling the biome
+    const col = columnInfo(gen, wx, wz, heightAt)
+    if (!col.biome.tree || roll >= col.biome.treeDensity) return null
+    if (col.height <= SEA_LEVEL) return null
+    if (isCarved(gen, wx, col.height, wz, col)) return null // no trees over cave mouths
+    return { y: col.height + 1, type: col.biome.tree, size: hash2D(gen.seed + 7, wx, wz) }
+  },
+
+  place(out, x, z, { y, type, size }) {
+    TREES[type](out, x, y, z, size)
+  },
+})
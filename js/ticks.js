@@ -0,0 +1,232 @@
+import { CHUNK_SIZE, CHUNK_HEIGHT } from './chunk.js'
+import {
+  BLOCKS, MAX_FLOW_LEVEL, getBlockType, isLiquid, fluidOf, flowLevel, flowingBlock,
+} from './blocks.js'
+
+// Scheduled block updates, for blocks that change on their own: liquids flowing and
+// sand and gravel falling. When setBlockWorld changes a block, it and its six
+// neighbors are queued to be looked at a few ticks later; an update looks at the
+// block as it is by then and may change it, which queues its neighbors in turn.
+//
+// Ticks run TICK_RATE times a second and each does at most TICK_BUDGET updates; the
+// rest wait for the next tick, oldest first. An update next to a chunk that isn't
+// loaded waits until that chunk is, since it can't see what's there. Queued updates
+// aren't saved: whatever was flowing stops where it is when the world is closed.
+
+export const TICK_RATE = 20 // ticks per second
+const TICK_BUDGET = 512     // updates per tick
+const FLOW_DELAY  = 5       // ticks between a liquid spreading one block and the next
+const FALL_DELAY  = 2       // ticks a falling block takes per block
+
+// Updates are keyed by position packed into one number, exact for |x|, |z| < 2^22
+const OFFSET = 1 << 22
+const SPAN   = 1 << 23
+
+// Offsets of the four blocks beside one
+const SIDES = [[1, 0], [-1, 0], [0, 1], [0, -1]]
+
+function positionKey(x, y, z) {
+  return ((x + OFFSET) * SPAN + (z + OFFSET)) * CHUNK_HEIGHT + y
+}
+
+// Ticks until a block looks at its surroundings again, or 0 if it never changes by itself
+function delayOf(block) {
+  if (getBlockType(block)?.falls) return FALL_DELAY
+  if (isLiquid(block) && flowingBlock(fluidOf(block), 1) !== null) return FLOW_DELAY
+  return 0
+}
+
+export class BlockTicks {
+  constructor(world) {
+    this.world     = world
+    this.tick      = 0
+    this.time      = 0         // s toward the next tick
+    this.queue     = new Map() // due tick -> flat x, y, z of the updates due then
+    this.scheduled = new Set() // position keys in `queue` or `waiting`, queued only once
+    this.waiting   = new Map() // chunk key -> flat x, y, z of updates waiting for it to load
+    this.muted     = 0         // > 0 inside withoutUpdates()
+  }
+
+  // Number of updates queued, including ones waiting for a chunk
+  get size() {
+    return this.scheduled.size
+  }
+
+  // Call every frame
+  update(dt) {
+    this.time += dt
+    while (this.time >= 1 / TICK_RATE) {
+      this.time -= 1 / TICK_RATE
+      this._tick()
+    }
+  }
+
+  // Queue an update of the block at a position `delay` ticks from now; a position
+  // already queued keeps its place
+  schedule(x, y, z, delay) {
+    if (y < 0 || y >= CHUNK_HEIGHT) return
+    const key = positionKey(x, y, z)
+    if (this.scheduled.has(key)) return
+    this.scheduled.add(key)
+    const due  = this.tick + delay
+    const list = this.queue.get(due)
+    if (list) {
+      list.push(x, y, z)
+    } else {
+      this.queue.set(due, [x, y, z])
+    }
+  }
+
+  // A block changed: queue it and its neighbors, the ones that can change by themselves
+  scheduleAround(x, y, z) {
+    if (this.muted > 0) return
+    this._scheduleBlock(x, y, z)
+    this._scheduleBlock(x, y + 1, z)
+    this._scheduleBlock(x, y - 1, z)
+    for (const [dx, dz] of SIDES) this._scheduleBlock(x + dx, y, z + dz)
+  }
+
+  // Run fn() without queueing updates for the blocks it changes, e.g. for edits from a
+  // multiplayer server: the player who made them runs their updates (see net.js)
+  withoutUpdates(fn) {
+    this.muted++
+    try {
+      return fn()
+    } finally {
+      this.muted--
+    }
+  }
+
+  // A chunk was loaded: the updates waiting for it run on the next tick
+  chunkLoaded(cx, cz) {
+    const key  = this.world.chunkKey(cx, cz)
+    const list = this.waiting.get(key)
+    if (!list) return
+    this.waiting.delete(key)
+    for (let i = 0; i < list.length; i += 3) {
+      this.scheduled.delete(positionKey(list[i], list[i + 1], list[i + 2]))
+      this.schedule(list[i], list[i + 1], list[i + 2], 1)
+    }
+  }
+
+  _scheduleBlock(x, y, z) {
+    const delay = delayOf(this.world.getBlockWorld(x, y, z))
+    if (delay > 0) this.schedule(x, y, z, delay)
+  }
+
+  _tick() {
+    this.tick++
+    if (this.queue.size === 0) return
+    let budget = TICK_BUDGET
+    // Updates only queue for later ticks, so nothing is added to the buckets run here
+    const due = [...this.queue.keys()].filter(tick => tick <= this.tick).sort((a, b) => a - b)
+    this.world.batch(() => {
+      for (const tick of due) {
+        const list = this.queue.get(tick)
+        let i = 0
+        for (; i < list.length && budget > 0; i += 3, budget--) this._run(list[i], list[i + 1], list[i + 2])
+        if (i < list.length) {
+          list.splice(0, i)
+          return
+        }
+        this.queue.delete(tick)
+      }
+    })
+  }
+
+  _run(x, y, z) {
+    const missing = this._missingChunk(x, z)
+    if (missing) {
+      const list = this.waiting.get(missing)
+      if (list) {
+        list.push(x, y, z)
+      } else {
+        this.waiting.set(missing, [x, y, z])
+      }
+      return
+    }
+    this.scheduled.delete(positionKey(x, y, z))
+
+    const block = this.world.getBlockWorld(x, y, z)
+    if (getBlockType(block)?.falls) {
+      this._fall(x, y, z, block)
+    } else if (isLiquid(block)) {
+      this._flow(x, y, z, block)
+    }
+  }
+
+  // Key of an unloaded chunk the block or one beside it is in, or null
+  _missingChunk(x, z) {
+    const { world } = this
+    if (!world.isLoadedAt(x, z)) return world.chunkKey(Math.floor(x / CHUNK_SIZE), Math.floor(z / CHUNK_SIZE))
+    for (const [dx, dz] of SIDES) {
+      if (!world.isLoadedAt(x + dx, z + dz)) {
+        return world.chunkKey(Math.floor((x + dx) / CHUNK_SIZE), Math.floor((z + dz) / CHUNK_SIZE))
+      }
+    }
+    return null
+  }
+
+  // Sand and gravel drop one block per update into air or liquid, which they replace
+  _fall(x, y, z, block) {
+    const below = this.world.getBlockWorld(x, y - 1, z)
+    if (y === 0 || (below !== BLOCKS.AIR && !isLiquid(below))) return
+    this.world.setBlockWorld(x, y, z, BLOCKS.AIR)
+    this.world.setBlockWorld(x, y - 1, z, block)
+  }
+
+  // A flowing block is only as full as what feeds it: any of its liquid above it makes
+  // it level 1, otherwise it's one level past its fullest neighbor. Cut off from its
+  // source, a flow's levels climb past the last one and it dries up. A block at the
+  // level it should be spreads: down into air if it can, otherwise sideways one level
+  // further, until the last level. Sources spread sideways even on top of their own
+  // liquid, so digging beside a lake lets water in; flowing liquid doesn't, so a
+  // waterfall doesn't spread over the pool it lands in.
+  _flow(x, y, z, block) {
+    const { world } = this
+    const fluid = fluidOf(block)
+    const level = flowLevel(block)
+    if (level > 0) {
+      const fed = this._fedLevel(x, y, z, fluid)
+      if (fed !== level) {
+        world.setBlockWorld(x, y, z, flowingBlock(fluid, fed) ?? BLOCKS.AIR)
+        return
+      }
+    }
+
+    const below = world.getBlockWorld(x, y - 1, z)
+    if (y > 0 && this._canFlowInto(below, fluid, 1)) {
+      world.setBlockWorld(x, y - 1, z, flowingBlock(fluid, 1))
+      return
+    }
+    if (level > 0 && fluidOf(below) === fluid) return
+
+    const next   = level + 1
+    const spread = flowingBlock(fluid, next)
+    if (spread === null) return
+    for (const [dx, dz] of SIDES) {
+      if (this._canFlowInto(world.getBlockWorld(x + dx, y, z + dz), fluid, next)) {
+        world.setBlockWorld(x + dx, y, z + dz, spread)
+      }
+    }
+  }
+
+  // Air, or the same liquid spread further than `level`
+  _canFlowInto(block, fluid, level) {
+    if (block === BLOCKS.AIR) return true
+    return fluidOf(block) === fluid && flowLevel(block) > level
+  }
+
+  // The level a flowing block of `fluid` should be, or past the last level if nothing
+  // feeds it
+  _fedLevel(x, y, z, fluid) {
+    const { world } = this
+    if (fluidOf(world.getBlockWorld(x, y + 1, z)) === fluid) return 1
+    let level = MAX_FLOW_LEVEL + 1
+    for (const [dx, dz] of SIDES) {
+      const side = world.getBlockWorld(x + dx, y, z + dz)
+      if (fluidOf(side) === fluid) level = Math.min(level, flowLevel(side) + 1)
+    }
+    return level
+  }
+}
@@ -0,0 +1,199 @@
+import { BLOCKS, getBlockType, blockTypes, isSolid } from './blocks.js'
+import { registerCommand, parseCoord } from './commands.js'
+import { copyRegion } from './builder.js'
+
+// MagicaVoxel .vox files, read into and written from builder clipboards
+// ({ size: [sx, sy, sz], data }, see builder.js).
+//
+// A file is "VOX " and a version, then a MAIN chunk whose children hold the models:
+// SIZE (x, y, z), XYZI (a voxel count, then x, y, z, palette index bytes) and
+// optionally RGBA (256 colors; entry i is palette index i + 1). Every chunk is an id,
+// a content size and a children size, so chunks we don't use are easy to skip.
+//
+// MagicaVoxel's z points up. Its y runs the other way from our z, so models keep
+// their handedness rather than coming out mirrored.
+
+const VERSION  = 150
+const MAX_SIZE = 256 // largest model MagicaVoxel opens, per axis
+
+// Used by files without an RGBA chunk: the 6×6×6 color cube minus black, then
+// ramps of red, green, blue and gray. Index 0 is empty space.
+const DEFAULT_PALETTE = (() => {
+  const palette = [0]
+  const steps   = [0xff, 0xcc, 0x99, 0x66, 0x33, 0x00]
+  const ramp    = [0xee, 0xdd, 0xbb, 0xaa, 0x88, 0x77, 0x55, 0x44, 0x22, 0x11]
+  for (const r of steps) {
+    for (const g of steps) {
+      for (const b of steps) if (r || g || b) palette.push(r << 16 | g << 8 | b)
+    }
+  }
+  for (const shift of [16, 8, 0]) for (const v of ramp) palette.push(v << shift)
+  for (const v of ramp) palette.push(v * 0x010101)
+  return palette
+})()
+
+// --- Colors ---
+
+// The solid block whose top color is closest to `color` (0xRRGGBB). The top is what
+// we export, so a block always comes back as itself.
+function nearestBlock(color) {
+  let best = BLOCKS.AIR, bestDistance = Infinity
+  for (const type of blockTypes()) {
+    if (!isSolid(type.id)) continue
+    const top = type.colors.top
+    const dr  = (color >> 16 & 0xff) - (top >> 16 & 0xff)
+    const dg  = (color >> 8 & 0xff) - (top >> 8 & 0xff)
+    const db  = (color & 0xff) - (top & 0xff)
+    // Weighted roughly by how sensitive the eye is to each channel
+    const distance = 2 * dr * dr + 4 * dg * dg + 3 * db * db
+    if (distance < bestDistance) {
+      best         = type.id
+      bestDistance = distance
+    }
+  }
+  return best
+}
+
+// --- Reading ---
+
+function readId(view, offset) {
+  let id = ''
+  for (let i = 0; i < 4; i++) id += String.fromCharCode(view.getUint8(offset + i))
+  return id
+}
+
+// buffer: ArrayBuffer of a .vox file. Scenes with several models bring in only the
+// first one.
+export function readVox(buffer) {
+  const view = new DataView(buffer)
+  if (view.byteLength < 20 || readId(view, 0) !== 'VOX ' || readId(view, 8) !== 'MAIN') {
+    throw new Error('Not a MagicaVoxel .vox file')
+  }
+
+  let size = null, voxels = null, palette = DEFAULT_PALETTE
+  let offset = 20 + view.getUint32(12, true) // MAIN's children start after its content
+  while (offset + 12 <= view.byteLength) {
+    const id      = readId(view, offset)
+    const content = offset + 12
+    const length  = view.getUint32(offset + 4, true)
+    if (content + length > view.byteLength) throw new Error(`The .vox file is cut off inside its ${id} chunk`)
+
+    if (id === 'SIZE' && !size) {
+      size = [0, 4, 8].map(i => view.getUint32(content + i, true))
+    } else if (id === 'XYZI' && !voxels) {
+      const count = view.getUint32(content, true)
+      if (4 + count * 4 > length) throw new Error('The .vox file has a broken XYZI chunk')
+      voxels = new Uint8Array(buffer, content + 4, count * 4)
+    } else if (id === 'RGBA') {
+      palette = [0]
+      for (let i = 0; i < 255; i++) {
+        const at = content + i * 4
+        palette.push(view.getUint8(at) << 16 | view.getUint8(at + 1) << 8 | view.getUint8(at + 2))
+      }
+    }
+    offset = content + length + view.getUint32(offset + 8, true)
+  }
+  if (!size || !voxels) throw new Error('The .vox file has no model in it')
+
+  // .vox (x, y, z) -> ours (x, z, y), with y reversed
+  const [vx, vy, vz] = size
+  const data   = new Uint8Array(vx * vy * vz)
+  const blocks = new Map() // palette index -> block id
+  for (let i = 0; i < voxels.length; i += 4) {
+    const x = voxels[i], y = voxels[i + 1], z = voxels[i + 2], index = voxels[i + 3]
+    if (x >= vx || y >= vy || z >= vz || index === 0) continue
+    if (!blocks.has(index)) blocks.set(index, nearestBlock(palette[index]))
+    data[x + vx * ((vy - 1 - y) + vy * z)] = blocks.get(index)
+  }
+  return { size: [vx, vz, vy], data }
+}
+
+// --- Writing ---
+
+// Returns the file as a Uint8Array. Each block type becomes one palette entry,
+// colored like its top face.
+export function writeVox(clipboard) {
+  const [sx, sy, sz] = clipboard.size
+  if (Math.max(sx, sy, sz) > MAX_SIZE) throw new Error(`.vox models are at most ${MAX_SIZE} blocks along each side`)
+
+  const indices = new Map() // block id -> palette index
+  const voxels  = []
+  let i = 0
+  for (let y = 0; y < sy; y++) {
+    for (let z = 0; z < sz; z++) {
+      for (let x = 0; x < sx; x++) {
+        const block = clipboard.data[i++]
+        if (block === BLOCKS.AIR) continue
+        if (!indices.has(block)) indices.set(block, indices.size + 1)
+        voxels.push(x, sz - 1 - z, y, indices.get(block))
+      }
+    }
+  }
+  if (indices.size > 255) throw new Error('.vox files hold at most 255 colors')
+
+  const sizeBytes = 12, xyziBytes = 4 + voxels.length, rgbaBytes = 256 * 4
+  const children  = 3 * 12 + sizeBytes + xyziBytes + rgbaBytes
+  const bytes = new Uint8Array(20 + children)
+  const view  = new DataView(bytes.buffer)
+  let offset = 0
+  const id = text => {
+    for (let c = 0; c < 4; c++) bytes[offset++] = text.charCodeAt(c)
+  }
+  const u32 = value => {
+    view.setUint32(offset, value, true)
+    offset += 4
+  }
+  const chunk = (name, content, childBytes = 0) => {
+    id(name)
+    u32(content)
+    u32(childBytes)
+  }
+
+  id('VOX ')
+  u32(VERSION)
+  chunk('MAIN', 0, children)
+  chunk('SIZE', sizeBytes)
+  u32(sx)
+  u32(sz)
+  u32(sy)
+  chunk('XYZI', xyziBytes)
+  u32(voxels.length / 4)
+  bytes.set(voxels, offset)
+  offset += voxels.length
+  chunk('RGBA', rgbaBytes)
+  for (const [block, index] of indices) {
+    const color = getBlockType(block).colors.top
+    bytes.set([color >> 16 & 0xff, color >> 8 & 0xff, color & 0xff, 0xff], offset + (index - 1) * 4)
+  }
+  return bytes
+}
+
+// --- Commands ---
+// ctx.download(bytes, filename) hands the file to the browser (see main.js)
+
+registerCommand({
+  name: 'export',
+  usage: '[<x1> <y1> <z1> <x2> <y2> <z2>] [name]',
+  help: 'Download the builder selection, or a box of loaded blocks, as a MagicaVoxel .vox file',
+  run(args, { builder, player, world, download }) {
+    let region
+    if (args.length >= 6) {
+      const [x1, y1, z1, x2, y2, z2] = args.slice(0, 6).map((text, i) =>
+        Math.floor(parseCoord(text, Math.floor(player.pos.getComponent(i % 3)))))
+      region = {
+        min: { x: Math.min(x1, x2), y: Math.min(y1, y2), z: Math.min(z1, z2) },
+        max: { x: Math.max(x1, x2), y: Math.max(y1, y2), z: Math.max(z1, z2) },
+      }
+      args = args.slice(6)
+    } else {
+      region = builder.selection
+      if (!region) throw new Error('Select a box with the builder tool (B), or give two corners')
+    }
+    if (args.length > 1) throw new Error('Usage: /export [<x1> <y1> <z1> <x2> <y2> <z2>] [name]')
+
+    const name  = (args[0] ?? 'export').replace(/\.vox$/i, '')
+    const bytes = writeVox(copyRegion(world, region.min, region.max))
+    download(bytes, `${name}.vox`)
+    return `Exported ${name}.vox`
+  },
+})
@@ -0,0 +1,285 @@
+import { Chunk, CHUNK_SIZE, CHUNK_HEIGHT } from './chunk.js'
+import { BLOCKS } from './blocks.js'
+import { Lighting } from './lighting.js'
+import { generateChunk, getTerrainHeight } from './terrain.js'
+import { Transaction, EditHistory } from './history.js'
+import { BlockTicks } from './ticks.js'
+
+// The blocks of a world without anything to draw them: chunks generated on demand,
+// lighting, edits with undo, and scheduled block updates. Nothing here needs a
+// browser or Three.js, so it runs in Node as it is (see test/). World (world.js)
+// adds meshes, worker jobs and entities on top.
+
+export class VoxelWorld {
+  constructor(generator) {
+    this.generator = generator // TerrainGenerator — owns the seed
+    this.chunks    = new Map() // key: "cx,cz" -> Chunk
+
+    // Block data of every chunk the player has edited, loaded or not, and of the saved
+    // chunks read so far. Restored in loadChunk instead of regenerating.
+    this.edited = new Map() // key: "cx,cz" -> Uint8Array
+    this.dirty  = new Set() // keys edited since the last takeDirtyChunks()
+
+    // For a world whose edits are in storage: (cx, cz) => Promise of a chunk's saved
+    // block data, or null if it has none. Each chunk is looked up when it's about to
+    // load, not before (see lookUp), and can't load until that's done.
+    this.loadSaved = null
+    this.looked    = new Set() // keys looked up and found unsaved, until they unload
+    this.lookups   = new Map() // key -> Promise of a lookup in flight
+
+    // Light spreads across chunk borders, so one change can relight several chunks;
+    // they collect in `relit` until the operation is done and are then remeshed
+    this.relit    = new Set()
+    this.lighting = new Lighting((cx, cz) => this.getChunk(cx, cz), chunk => this.relit.add(chunk))
+    this.batchDepth = 0 // > 0 inside batch(), where rebuilds wait for the outermost call
+
+    // Open transactions, outermost first; each records every change made while it's open
+    this.transactions = []
+    this.history      = new EditHistory()
+
+    // Blocks that change by themselves (flowing water, falling sand), see ticks.js.
+    // Run by the game loop with ticks.update(dt).
+    this.ticks = new BlockTicks(this)
+
+    // For a multiplayer connection (net.js): chunks coming and going, and every change
+    this.onChunkLoad   = () => {} // (cx, cz) once a chunk's block data is in `chunks`
+    this.onChunkUnload = () => {} // (cx, cz)
+    this.onBlockChange = () => {} // (wx, wy, wz, type) after setBlockWorld changed a block
+  }
+
+  chunkKey(cx, cz) {
+    return `${cx},${cz}`
+  }
+
+  getChunk(cx, cz) {
+    return this.chunks.get(this.chunkKey(cx, cz)) || null
+  }
+
+  isLoadedAt(wx, wz) {
+    return this.getChunk(Math.floor(wx / CHUNK_SIZE), Math.floor(wz / CHUNK_SIZE)) !== null
+  }
+
+  // Whether a chunk's saved data, if it has any, is at hand for loadChunk
+  isReady(key) {
+    return this.loadSaved === null || this.edited.has(key) || this.looked.has(key)
+  }
+
+  // Read a chunk's saved data into `edited`, if it has any; resolves once it's done
+  lookUp(cx, cz) {
+    const key = this.chunkKey(cx, cz)
+    if (this.isReady(key)) return Promise.resolve()
+    let lookup = this.lookups.get(key)
+    if (!lookup) {
+      lookup = this.loadSaved(cx, cz).then(data => {
+        if (data) {
+          this.edited.set(key, data)
+        } else {
+          this.looked.add(key)
+        }
+      }).finally(() => this.lookups.delete(key))
+      this.lookups.set(key, lookup)
+    }
+    return lookup
+  }
+
+  // The chunks loadAround would load, looked up
+  lookUpAround(wx, wz, radius = 1) {
+    const cx = Math.floor(wx / CHUNK_SIZE)
+    const cz = Math.floor(wz / CHUNK_SIZE)
+    const lookups = []
+    for (let dx = -radius; dx <= radius; dx++) {
+      for (let dz = -radius; dz <= radius; dz++) lookups.push(this.lookUp(cx + dx, cz + dz))
+    }
+    return Promise.all(lookups)
+  }
+
+  // Synchronous load on the main thread, for places that need block data right away
+  // (spawn, teleports). The mesh is still built by the job queue. A chunk that hasn't
+  // been looked up yet is left unloaded and looked up, to load later.
+  loadChunk(cx, cz) {
+    const key = this.chunkKey(cx, cz)
+    if (this.chunks.has(key)) return
+    if (!this.isReady(key)) {
+      this.lookUp(cx, cz).catch(err => console.error(`Failed to read saved chunk ${key}`, err))
+      return
+    }
+    const chunk = new Chunk(cx, cz)
+    const saved = this.edited.get(key)
+    if (saved) {
+      chunk.data = saved
+    } else {
+      generateChunk(this.generator, chunk)
+    }
+    this._addChunk(chunk, false)
+  }
+
+  // Load the chunks within `radius` of a world position right away, e.g. before
+  // putting the player there
+  loadAround(wx, wz, radius = 1) {
+    const cx = Math.floor(wx / CHUNK_SIZE)
+    const cz = Math.floor(wz / CHUNK_SIZE)
+    for (let dx = -radius; dx <= radius; dx++) {
+      for (let dz = -radius; dz <= radius; dz++) this.loadChunk(cx + dx, cz + dz)
+    }
+  }
+
+  // A chunk without saved data is looked up again if it comes back, so `looked` only
+  // holds the chunks around
+  unloadChunk(cx, cz) {
+    const key = this.chunkKey(cx, cz)
+    this.looked.delete(key)
+    if (this.chunks.delete(key)) this.onChunkUnload(cx, cz)
+  }
+
+  // Put a chunk with its block data filled in into the world. lit: its own light is
+  // worked out already (by a chunk worker), only what crosses its borders is left.
+  _addChunk(chunk, lit) {
+    this.chunks.set(this.chunkKey(chunk.cx, chunk.cz), chunk)
+    if (lit) {
+      this.lighting.stitchChunk(chunk)
+    } else {
+      this.lighting.initChunk(chunk)
+    }
+    this._flushRelit(false)
+    this.ticks.chunkLoaded(chunk.cx, chunk.cz)
+    this.onChunkLoad(chunk.cx, chunk.cz)
+  }
+
+  getBlockWorld(wx, wy, wz) {
+    const cx    = Math.floor(wx / CHUNK_SIZE)
+    const cz    = Math.floor(wz / CHUNK_SIZE)
+    const chunk = this.getChunk(cx, cz)
+    if (!chunk) return BLOCKS.AIR
+    const lx = ((wx % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE
+    const lz = ((wz % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE
+    return chunk.getBlock(lx, wy, lz)
+  }
+
+  // Packed sky and block light, (sky << 4) | block; unloaded chunks are dark
+  getLightWorld(wx, wy, wz) {
+    const cx    = Math.floor(wx / CHUNK_SIZE)
+    const cz    = Math.floor(wz / CHUNK_SIZE)
+    const chunk = this.getChunk(cx, cz)
+    if (!chunk || wy < 0 || wy >= CHUNK_HEIGHT) return 0
+    const lx = ((wx % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE
+    const lz = ((wz % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE
+    return chunk.light[chunk.index(lx, wy, lz)]
+  }
+
+  // Rebuild the edited chunk, plus any neighbor chunks the edit or its light touches (#2),
+  // and queue updates for the blocks around it that may move in response
+  setBlockWorld(wx, wy, wz, type) {
+    const cx    = Math.floor(wx / CHUNK_SIZE)
+    const cz    = Math.floor(wz / CHUNK_SIZE)
+    const chunk = this.getChunk(cx, cz)
+    if (!chunk) return
+
+    const lx = ((wx % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE
+    const lz = ((wz % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE
+    const before = chunk.getBlock(lx, wy, lz)
+    if (before === type || before === -1) return
+    chunk.setBlock(lx, wy, lz, type)
+    this.lighting.update(wx, wy, wz, type)
+
+    // Unloading only drops the Chunk object; the shared data array stays here
+    const key = this.chunkKey(cx, cz)
+    for (const tx of this.transactions) tx.record(wx, wy, wz, before, type, key)
+    this.edited.set(key, chunk.data)
+    this.dirty.add(key)
+    this.onBlockChange(wx, wy, wz, type)
+    this.ticks.scheduleAround(wx, wy, wz)
+
+    this.relit.add(chunk)
+    const neighbors = [
+      lx === 0              && this.getChunk(cx - 1, cz),
+      lx === CHUNK_SIZE - 1 && this.getChunk(cx + 1, cz),
+      lz === 0              && this.getChunk(cx, cz - 1),
+      lz === CHUNK_SIZE - 1 && this.getChunk(cx, cz + 1),
+    ]
+    for (const neighbor of neighbors) if (neighbor) this.relit.add(neighbor)
+    if (this.batchDepth === 0) this._flushRelit(true)
+  }
+
+  // Run fn() with the chunk rebuilds of its setBlockWorld calls held back until it
+  // returns, so a bulk edit rebuilds each chunk it touched once instead of per block
+  batch(fn) {
+    this.batchDepth++
+    try {
+      return fn()
+    } finally {
+      if (--this.batchDepth === 0) this._flushRelit(true)
+    }
+  }
+
+  // Run fn() as one undoable edit named `label`: like batch(), plus every block it
+  // changes is recorded with its previous value. The finished Transaction goes on
+  // `history` and is returned; if fn() throws, its changes are rolled back instead.
+  // Nested transactions become part of the outermost one.
+  transaction(label, fn) {
+    const tx = new Transaction(label)
+    this.transactions.push(tx)
+    let done = false
+    try {
+      this.batch(fn)
+      done = true
+    } finally {
+      this.transactions.pop()
+      if (!done) this.applyTransaction(tx, 'before')
+    }
+    if (this.transactions.length === 0) this.history.push(tx)
+    return tx
+  }
+
+  // Set every block a transaction changed to its value from before it ('before') or
+  // after it ('after'), loading the chunks it touched first if they were unloaded
+  applyTransaction(tx, which) {
+    for (const key of tx.chunks) {
+      const [cx, cz] = key.split(',').map(Number)
+      this.loadChunk(cx, cz)
+    }
+    this.batch(() => {
+      for (const change of tx.changes.values()) this.setBlockWorld(change.x, change.y, change.z, change[which])
+    })
+  }
+
+  // Revert the latest transaction on the history; returns it, or null if there's none
+  undo() {
+    const tx = this.history.takeUndo()
+    if (tx) this.applyTransaction(tx, 'before')
+    return tx
+  }
+
+  redo() {
+    const tx = this.history.takeRedo()
+    if (tx) this.applyTransaction(tx, 'after')
+    return tx
+  }
+
+  // Mark every chunk in `relit` as needing a new mesh. With `immediate`, the ones with
+  // a mesh are rebuilt right away (see _remesh); otherwise it's left to the job queue.
+  _flushRelit(immediate) {
+    for (const chunk of this.relit) {
+      chunk.version++
+      if (immediate) this._remesh(chunk)
+    }
+    this.relit.clear()
+  }
+
+  // Rebuild a chunk's mesh now, so an edit shows up this frame; nothing to do without one
+  _remesh(chunk) {}
+
+  // Edited chunks not yet written to storage; clears the dirty set
+  takeDirtyChunks() {
+    const entries = []
+    for (const key of this.dirty) {
+      const [cx, cz] = key.split(',').map(Number)
+      entries.push({ cx, cz, data: this.edited.get(key) })
+    }
+    this.dirty.clear()
+    return entries
+  }
+
+  getSurfaceHeight(wx, wz) {
+    return getTerrainHeight(this.generator, wx, wz)
+  }
+}
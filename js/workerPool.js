@@ -0,0 +1,113 @@
+// Fixed set of module workers that each run one job at a time. Callers check
+// idleCount and pick which job to run next, so ordering stays with the caller.
+//
+// A worker that errors is replaced, up to MAX_RESTARTS times over the pool's life.
+// Past that, or when a worker can't handle its init message, the pool gives up: every
+// job fails, idleCount stays 0 and onFatal says why.
+
+const MAX_RESTARTS = 3
+
+export class WorkerPool {
+  constructor(url, size, initMessage) {
+    this.url         = url
+    this.initMessage = initMessage
+    this.workers     = []
+    this.idle        = []
+    this.jobs        = new Map() // job id -> { resolve, reject }
+    this.running     = new Map() // worker -> id of the job it's on
+    this.broadcasts  = new Map() // type -> latest broadcast message, for replacement workers
+    this.nextId      = 1
+    this.restarts    = 0
+    this.failed      = null // the Error the pool gave up with
+
+    this.onFatal = () => {} // (err) once, when the pool gives up
+
+    for (let i = 0; i < size; i++) this._spawn()
+  }
+
+  _spawn() {
+    const worker = new Worker(this.url, { type: 'module' })
+    worker.onmessage = e => this._onMessage(worker, e.data)
+    worker.onerror   = e => this._onError(worker, e)
+    worker.postMessage(this.initMessage)
+    for (const message of this.broadcasts.values()) worker.postMessage(message)
+    this.workers.push(worker)
+    this.idle.push(worker)
+  }
+
+  get idleCount() {
+    return this.idle.length
+  }
+
+  // Only call while idleCount > 0. Buffers listed in `transfer` are moved, not copied.
+  run(message, transfer = []) {
+    const worker = this.idle.pop()
+    const id     = this.nextId++
+    return new Promise((resolve, reject) => {
+      this.jobs.set(id, { resolve, reject })
+      this.running.set(worker, id)
+      worker.postMessage({ ...message, id }, transfer)
+    })
+  }
+
+  _onMessage(worker, data) {
+    if (data.fatal !== undefined) {
+      this._fail(new Error(`Chunk worker failed to start: ${data.fatal}`))
+      return
+    }
+    const job = this.jobs.get(data.id)
+    this.jobs.delete(data.id)
+    this.running.delete(worker)
+    this.idle.push(worker)
+    if (!job) return
+    if (data.error) job.reject(new Error(data.error))
+    else job.resolve(data)
+  }
+
+  // An error the worker didn't answer a job with, e.g. its script failed to load. Its
+  // job fails, and a fresh worker takes its place since this one's state is unknown;
+  // a script that never loads runs out of restarts instead of respawning forever.
+  _onError(worker, e) {
+    console.error('Chunk worker error', e.message)
+    if (!this.workers.includes(worker)) return
+    const message = e.message || 'Chunk worker error'
+    if (++this.restarts > MAX_RESTARTS) {
+      this._fail(new Error(`Chunk workers keep failing: ${message}`))
+      return
+    }
+    const id  = this.running.get(worker)
+    const job = this.jobs.get(id)
+    this.jobs.delete(id)
+    this.running.delete(worker)
+    worker.terminate()
+    this.workers = this.workers.filter(w => w !== worker)
+    this.idle    = this.idle.filter(w => w !== worker)
+    this._spawn()
+    job?.reject(new Error(message))
+  }
+
+  _fail(err) {
+    if (this.failed) return
+    this.failed = err
+    const jobs  = [...this.jobs.values()]
+    this.terminate()
+    for (const job of jobs) job.reject(err)
+    this.onFatal(err)
+  }
+
+  // Send a message that isn't a job (no reply) to every worker, e.g. new settings.
+  // Each worker sees it after the jobs it already has.
+  broadcast(message) {
+    this.broadcasts.set(message.type, message)
+    for (const worker of this.workers) worker.postMessage(message)
+  }
+
+  // Outstanding jobs never settle after this
+  terminate() {
+    for (const worker of this.workers) worker.terminate()
+    this.workers = []
+    this.idle    = []
+    this.jobs.clear()
+    this.running.clear()
+  }
+}
@@ -1,105 +1,249 @@
-import * as THREE from 'three'
-import { Chunk, BLOCKS, CHUNK_SIZE } from './chunk.js'
-import { generateChunk, getTerrainHeight } from './terrain.js'
-
-const RENDER_DISTANCE = 4
-
-export class World {
-  constructor(scene) {
-    this.scene  = scene
-    this.chunks = new Map() // key: "cx,cz" -> Chunk
-
-    // Track last chunk position to skip redundant load scans (#8)
+import { Chunk, CHUNK_SIZE } from './chunk.js'
+import { VoxelWorld } from './voxelWorld.js'
+import { buildChunkMesh, createChunkMesh, disposeChunkMesh } from './chunkMesh.js'
+import { PAD_XZ, PAD_Y, fillPaddedVolume, fillPaddedLight, getTileMap } from './mesher.js'
+import { WorkerPool } from './workerPool.js'
+import { pluginUrls } from './plugins.js'
+import { Entities } from './entity.js'
+
+const RENDER_DISTANCE = 4                   // chunks meshed around the player
+const LOAD_DISTANCE   = RENDER_DISTANCE + 1 // block data one ring further, so every meshed chunk has neighbors
+const UNLOAD_DISTANCE = RENDER_DISTANCE + 2
+const APPLY_BUDGET_MS = 4                   // main-thread time per frame for applying finished jobs
+const LOOKUP_RETRY    = 1000                // ms before looking up a saved chunk again after a failure
+const WORKER_COUNT    = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1))
+
+// A VoxelWorld (voxelWorld.js) on screen: chunks are generated and meshed by workers
+// around the player as it moves, and entities live in it
+export class World extends VoxelWorld {
+  // options.ambientOcclusion: darken block corners in meshes, see setAmbientOcclusion
+  constructor(scene, generator, { ambientOcclusion = true } = {}) {
+    super(generator)
+    this.scene = scene
+
+    this.ambientOcclusion = ambientOcclusion
+
+    // Generation and meshing run in workers; results wait in `finished` until a
+    // frame has time to apply them
+    this.pool       = new WorkerPool(new URL('./chunkWorker.js', import.meta.url), WORKER_COUNT, {
+      type:    'init',
+      seed:    generator.seed,
+      plugins: pluginUrls(),
+      tiles:   getTileMap(),
+    })
+    this.generating = new Set() // keys with a generate job or saved data lookup in flight
+    this.finished   = []        // callbacks applying completed jobs, oldest first
+    this._getBlock  = (wx, wy, wz) => this.getBlockWorld(wx, wy, wz)
+    this._getLight  = (wx, wy, wz) => this.getLightWorld(wx, wy, wz)
+
+    this.onWorkerError = () => {} // (err) once the workers have stopped for good; no more chunks load
+    this.pool.onFatal  = err => this.onWorkerError(err)
+
+    // Mobs and other moving things, kept by chunk and unloaded with it (entity.js).
+    // Run by the game loop with entities.update(dt, player).
+    this.entities = new Entities(this)
+
+    // Player chunk and view direction, for job priority
+    this._pcx  = 0
+    this._pcz  = 0
+    this._dirX = 0
+    this._dirZ = -1
+
+    // Track last chunk position to skip redundant unload scans (#8)
     this._lastPCX = null
     this._lastPCZ = null
   }
 
-  chunkKey(cx, cz) {
-    return `${cx},${cz}`
+  unloadChunk(cx, cz) {
+    const chunk = this.getChunk(cx, cz)
+    if (chunk) {
+      disposeChunkMesh(chunk, this.scene)
+      this.entities.unloadChunk(cx, cz)
+      super.unloadChunk(cx, cz)
+    }
   }
 
-  getChunk(cx, cz) {
-    return this.chunks.get(this.chunkKey(cx, cz)) || null
+  // Existing meshes stay up until the job queue has rebuilt them
+  setAmbientOcclusion(on) {
+    if (on === this.ambientOcclusion) return
+    this.ambientOcclusion = on
+    for (const chunk of this.chunks.values()) chunk.version++
   }
 
-  loadChunk(cx, cz) {
-    const key = this.chunkKey(cx, cz)
-    if (this.chunks.has(key)) return
-    const chunk = new Chunk(cx, cz)
-    generateChunk(chunk)
-    this.chunks.set(key, chunk)
-    chunk.buildMesh(this.scene, (wx, wy, wz) => this.getBlockWorld(wx, wy, wz))
+  // The texture atlas changed: workers get the new tile map, and every chunk is
+  // remeshed through the job queue
+  refreshTextures() {
+    this.pool.broadcast({ type: 'tiles', tiles: getTileMap() })
+    for (const chunk of this.chunks.values()) chunk.version++
   }
 
-  unloadChunk(cx, cz) {
-    const key   = this.chunkKey(cx, cz)
-    const chunk = this.chunks.get(key)
-    if (chunk) {
-      chunk.disposeMesh(this.scene)
-      this.chunks.delete(key)
-    }
+  // Remove every chunk mesh and entity from the scene and stop the workers, e.g. before
+  // switching worlds
+  dispose() {
+    for (const chunk of this.chunks.values()) disposeChunkMesh(chunk, this.scene)
+    this.entities.clear()
+    this.chunks.clear()
+    this.pool.terminate()
+    this.finished = []
   }
 
-  // Only rescans when the player crosses a chunk boundary (#8)
-  update(px, pz) {
+  // dirX/dirZ: horizontal view direction, chunks in view are loaded first
+  update(px, pz, dirX = 0, dirZ = -1) {
     const pcx = Math.floor(px / CHUNK_SIZE)
     const pcz = Math.floor(pz / CHUNK_SIZE)
+    this._pcx  = pcx
+    this._pcz  = pcz
+    this._dirX = dirX
+    this._dirZ = dirZ
+
+    // Only rescans for unloading when the player crosses a chunk boundary (#8)
+    if (pcx !== this._lastPCX || pcz !== this._lastPCZ) {
+      this._lastPCX = pcx
+      this._lastPCZ = pcz
+      for (const chunk of this.chunks.values()) {
+        if (!this._inRange(chunk.cx, chunk.cz, UNLOAD_DISTANCE)) this.unloadChunk(chunk.cx, chunk.cz)
+      }
+    }
 
-    if (pcx === this._lastPCX && pcz === this._lastPCZ) return
-    this._lastPCX = pcx
-    this._lastPCZ = pcz
+    this._dispatchJobs()
+    this._applyFinished()
+  }
 
-    for (let dx = -RENDER_DISTANCE; dx <= RENDER_DISTANCE; dx++) {
-      for (let dz = -RENDER_DISTANCE; dz <= RENDER_DISTANCE; dz++) {
-        this.loadChunk(pcx + dx, pcz + dz)
+  _inRange(cx, cz, dist) {
+    return Math.abs(cx - this._pcx) <= dist && Math.abs(cz - this._pcz) <= dist
+  }
+
+  // Lower is sooner: distance to the player, up to doubled for chunks behind them
+  _priority(cx, cz) {
+    const dx = cx - this._pcx
+    const dz = cz - this._pcz
+    const d  = Math.hypot(dx, dz)
+    if (d === 0) return 0
+    const facing = (dx * this._dirX + dz * this._dirZ) / d
+    return d * (1.5 - 0.5 * facing)
+  }
+
+  // A chunk is only meshed once all 8 neighbors have data, so its border faces are
+  // right the first time and it never shows holes at the edges
+  _neighborsLoaded(cx, cz) {
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dz = -1; dz <= 1; dz++) {
+        if ((dx || dz) && !this.chunks.has(this.chunkKey(cx + dx, cz + dz))) return false
       }
     }
+    return true
+  }
 
-    for (const [, chunk] of this.chunks) {
-      const distX = Math.abs(chunk.cx - pcx)
-      const distZ = Math.abs(chunk.cz - pcz)
-      if (distX > RENDER_DISTANCE + 1 || distZ > RENDER_DISTANCE + 1) {
-        this.unloadChunk(chunk.cx, chunk.cz)
+  // Most urgent missing chunk or stale mesh within range, or null
+  _nextJob() {
+    let best = null
+    for (let dx = -LOAD_DISTANCE; dx <= LOAD_DISTANCE; dx++) {
+      for (let dz = -LOAD_DISTANCE; dz <= LOAD_DISTANCE; dz++) {
+        const cx    = this._pcx + dx
+        const cz    = this._pcz + dz
+        const key   = this.chunkKey(cx, cz)
+        const chunk = this.chunks.get(key)
+
+        let type = null
+        if (!chunk) {
+          if (!this.generating.has(key)) type = 'generate'
+        } else if (
+          chunk.meshedVersion !== chunk.version && !chunk.meshing &&
+          this._inRange(cx, cz, RENDER_DISTANCE) && this._neighborsLoaded(cx, cz)
+        ) {
+          type = 'mesh'
+        }
+        if (!type) continue
+
+        const priority = this._priority(cx, cz)
+        if (!best || priority < best.priority) best = { type, cx, cz, key, chunk, priority }
       }
     }
+    return best
   }
 
-  getBlockWorld(wx, wy, wz) {
-    const cx    = Math.floor(wx / CHUNK_SIZE)
-    const cz    = Math.floor(wz / CHUNK_SIZE)
-    const chunk = this.getChunk(cx, cz)
-    if (!chunk) return BLOCKS.AIR
-    const lx = ((wx % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE
-    const lz = ((wz % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE
-    return chunk.getBlock(lx, wy, lz)
+  _dispatchJobs() {
+    while (this.pool.idleCount > 0) {
+      const job = this._nextJob()
+      if (!job) return
+
+      if (job.type === 'generate') {
+        // Saved chunks are read first; edited ones are restored from memory, no need
+        // for a worker
+        if (!this.isReady(job.key)) {
+          this._runLookup(job)
+          continue
+        }
+        if (this.edited.has(job.key)) {
+          this.loadChunk(job.cx, job.cz)
+          continue
+        }
+        this._runGenerate(job)
+      } else {
+        this._runMesh(job)
+      }
+    }
   }
 
-  // Rebuild the edited chunk, plus any neighbor chunks the edit touches (#2)
-  setBlockWorld(wx, wy, wz, type) {
-    const cx    = Math.floor(wx / CHUNK_SIZE)
-    const cz    = Math.floor(wz / CHUNK_SIZE)
-    const chunk = this.getChunk(cx, cz)
-    if (!chunk) return
-
-    const lx = ((wx % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE
-    const lz = ((wz % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE
-    chunk.setBlock(lx, wy, lz, type)
+  // Doesn't take a worker: the job queue looks at the chunk again once it's done
+  _runLookup({ cx, cz, key }) {
+    this.generating.add(key)
+    this.lookUp(cx, cz).then(() => {
+      this.finished.push(() => this.generating.delete(key))
+    }, err => {
+      console.error(`Failed to read saved chunk ${key}`, err)
+      setTimeout(() => this.generating.delete(key), LOOKUP_RETRY)
+    })
+  }
 
-    const nb = (wx, wy, wz) => this.getBlockWorld(wx, wy, wz)
-    chunk.buildMesh(this.scene, nb)
+  _runGenerate({ cx, cz, key }) {
+    this.generating.add(key)
+    this.pool.run({ type: 'generate', cx, cz }).then(({ data, light }) => {
+      this.finished.push(() => {
+        this.generating.delete(key)
+        // Loaded synchronously meanwhile, or the player has moved away
+        if (this.chunks.has(key) || !this._inRange(cx, cz, UNLOAD_DISTANCE)) return
+        const chunk = new Chunk(cx, cz)
+        chunk.data  = data
+        chunk.light = light
+        this._addChunk(chunk, true)
+      })
+    }, err => {
+      this.generating.delete(key)
+      console.error(`Failed to generate chunk ${key}`, err)
+    })
+  }
 
-    if (lx === 0)              this._rebuildIfLoaded(cx - 1, cz, nb)
-    if (lx === CHUNK_SIZE - 1) this._rebuildIfLoaded(cx + 1, cz, nb)
-    if (lz === 0)              this._rebuildIfLoaded(cx, cz - 1, nb)
-    if (lz === CHUNK_SIZE - 1) this._rebuildIfLoaded(cx, cz + 1, nb)
+  _runMesh({ cx, cz, key, chunk }) {
+    const version = chunk.version
+    const volume  = fillPaddedVolume(new Uint8Array(PAD_XZ * PAD_Y * PAD_XZ), chunk, this._getBlock)
+    const light   = fillPaddedLight(new Uint8Array(PAD_XZ * PAD_Y * PAD_XZ), chunk, this._getLight)
+    chunk.meshing = true
+    const message = { type: 'mesh', cx, cz, volume, light, ao: this.ambientOcclusion }
+    this.pool.run(message, [volume.buffer, light.buffer]).then(mesh => {
+      this.finished.push(() => {
+        chunk.meshing = false
+        // Unloaded, or edited since the job started — the queue picks it up again
+        if (this.chunks.get(key) !== chunk || chunk.version !== version) return
+        createChunkMesh(chunk, this.scene, mesh)
+        chunk.meshedVersion = version
+      })
+    }, err => {
+      chunk.meshing = false
+      console.error(`Failed to mesh chunk ${key}`, err)
+    })
   }
 
-  _rebuildIfLoaded(cx, cz, nb) {
-    const chunk = this.getChunk(cx, cz)
-    if (chunk) chunk.buildMesh(this.scene, nb)
+  _applyFinished() {
+    const start = performance.now()
+    while (this.finished.length > 0 && performance.now() - start < APPLY_BUDGET_MS) {
+      this.finished.shift()()
+    }
   }
 
-  getSurfaceHeight(wx, wz) {
-    return getTerrainHeight(wx, wz)
+  _remesh(chunk) {
+    if (!chunk.mesh) return
+    buildChunkMesh(chunk, this.scene, this._getBlock, this._getLight, this.ambientOcclusion)
+    chunk.meshedVersion = chunk.version
   }
 }
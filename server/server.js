@@ -0,0 +1,291 @@
+import { createServer } from 'node:http'
+import { existsSync } from 'node:fs'
+import { parseArgs } from 'node:util'
+import { pathToFileURL } from 'node:url'
+import { MSG, GAME_MODES, MAX_BATCH, PROTOCOL_VERSION, encode, decode, helloVersion } from '../js/protocol.js'
+import { BLOCKS, getBlockType, isBreakable, isLiquid, fluidOf, flowLevel } from '../js/blocks.js'
+import { CHUNK_SIZE, CHUNK_HEIGHT } from '../js/chunk.js'
+import { PLAYER_HEIGHT, REACH } from '../js/physics.js'
+import { parseSeed } from '../js/terrain.js'
+import { loadPlugins } from '../js/plugins.js'
+import { acceptUpgrade } from './websocket.js'
+import { ServerWorld } from './world.js'
+
+// Multiplayer server. It owns the seed and every edit: players get the edits of each
+// chunk as they load it, send their own edits here to be checked and passed on to
+// everyone else with that chunk loaded, and see each other move. Run it with
+//
+//   node server/server.js [--port 8080] [--seed <text>] [--gamemode creative|survival] [--world <file>]
+//
+// and join from the start screen with ws://localhost:8080. With --world, edits are
+// kept in that file: loaded on start (its seed wins over --seed), saved every
+// SAVE_INTERVAL and on exit. Without it they last until the server stops.
+
+const SAVE_INTERVAL = 30_000 // ms
+const MAX_PLAYERS   = 32
+const NAME_LENGTH   = 16
+const MAX_CHUNKS    = 400 // loaded by one player at once; the game keeps at most 13 × 13
+const REACH_SLACK   = 2   // blocks past REACH a survival edit may be, as positions arrive late
+
+// A block's neighbors a liquid can flow in from
+const FLOW_SOURCES = [[0, 1, 0], [1, 0, 0], [-1, 0, 0], [0, 0, 1], [0, 0, -1]]
+
+export class GameServer {
+  // log: (text) => void, for joins, leaves and kicks
+  constructor(world, { gameMode = 'creative', log = console.log } = {}) {
+    this.world    = world // ServerWorld
+    this.gameMode = gameMode
+    this.log      = log
+    this.clients  = new Map() // player id -> client, once it has said hello
+  }
+
+  // connection: { send(bytes), close(), onMessage, onClose }, e.g. a WebSocketConnection
+  connect(connection) {
+    // chunks: "cx,cz" keys of the chunks it has loaded; pose: its last MOVE
+    const client = { id: null, name: null, connection, chunks: new Set(), pose: null }
+    connection.onMessage = bytes => this._receive(client, bytes)
+    connection.onClose   = () => this._leave(client)
+  }
+
+  _send(client, msg) {
+    client.connection.send(encode(msg))
+  }
+
+  _broadcast(msg, except) {
+    const bytes = encode(msg)
+    for (const client of this.clients.values()) if (client !== except) client.connection.send(bytes)
+  }
+
+  // Tell the client why, then hang up
+  _kick(client, message) {
+    this.log(`${client.name ?? 'A client'} was disconnected: ${message}`)
+    this._send(client, { type: MSG.ERROR, message })
+    client.connection.close()
+  }
+
+  _receive(client, bytes) {
+    if (client.id === null) {
+      this._hello(client, bytes)
+      return
+    }
+    let msg
+    try {
+      msg = decode(bytes)
+    } catch (err) {
+      this._kick(client, err.message)
+      return
+    }
+    switch (msg.type) {
+      case MSG.SUBSCRIBE: {
+        const key = `${msg.cx},${msg.cz}`
+        if (!client.chunks.has(key) && client.chunks.size >= MAX_CHUNKS) {
+          this._kick(client, `More than ${MAX_CHUNKS} chunks loaded at once`)
+          return
+        }
+        client.chunks.add(key)
+        const edits = this.world.editsOf(msg.cx, msg.cz)
+        if (edits.length > 0) this._send(client, { type: MSG.CHUNK_EDITS, cx: msg.cx, cz: msg.cz, edits })
+        break
+      }
+      case MSG.UNSUBSCRIBE:
+        this._unsubscribe(client, `${msg.cx},${msg.cz}`)
+        break
+      case MSG.SET_BLOCKS:
+        this._setBlocks(client, msg.blocks)
+        break
+      case MSG.MOVE:
+        if (![msg.x, msg.y, msg.z, msg.yaw, msg.pitch].every(Number.isFinite)) {
+          this._kick(client, 'Invalid position')
+          return
+        }
+        client.pose = msg
+        this._broadcast({ ...msg, type: MSG.PLAYER_MOVE, id: client.id }, client)
+        break
+      default:
+        this._kick(client, `Unexpected message type ${msg.type}`)
+    }
+  }
+
+  _hello(client, bytes) {
+    const version = helloVersion(bytes)
+    if (version === null) {
+      this._kick(client, 'Expected a hello')
+      return
+    }
+    if (version !== PROTOCOL_VERSION) {
+      this._kick(client, `This server speaks protocol version ${PROTOCOL_VERSION}, the game ${version}; update the older one`)
+      return
+    }
+    if (this.clients.size >= MAX_PLAYERS) {
+      this._kick(client, 'The server is full')
+      return
+    }
+    let hello
+    try {
+      hello = decode(bytes)
+    } catch (err) {
+      this._kick(client, err.message)
+      return
+    }
+    let id = 1
+    while (this.clients.has(id)) id++
+    const name = hello.name.replace(/[^\p{L}\p{N} _-]/gu, '').trim().slice(0, NAME_LENGTH)
+    client.id   = id
+    client.name = name || `Player ${id}`
+
+    this._send(client, { type: MSG.WELCOME, version: PROTOCOL_VERSION, id, seed: this.world.seed, gameMode: this.gameMode })
+    for (const other of this.clients.values()) {
+      this._send(client, { type: MSG.PLAYER_JOIN, id: other.id, name: other.name })
+      if (other.pose) this._send(client, { ...other.pose, type: MSG.PLAYER_MOVE, id: other.id })
+    }
+    this._broadcast({ type: MSG.PLAYER_JOIN, id, name: client.name })
+    this.clients.set(id, client)
+    this.log(`${client.name} joined (${this.clients.size} online)`)
+  }
+
+  _leave(client) {
+    if (client.id === null || this.clients.get(client.id) !== client) return
+    this.clients.delete(client.id)
+    for (const key of [...client.chunks]) this._unsubscribe(client, key)
+    this._broadcast({ type: MSG.PLAYER_LEAVE, id: client.id })
+    this.log(`${client.name} left (${this.clients.size} online)`)
+  }
+
+  // The world only keeps the chunks someone has loaded, and the ones with edits
+  _unsubscribe(client, key) {
+    client.chunks.delete(key)
+    for (const other of this.clients.values()) if (other.chunks.has(key)) return
+    const [cx, cz] = key.split(',').map(Number)
+    this.world.release(cx, cz)
+  }
+
+  // What's at a block in a chunk the client has loaded, -1 anywhere else
+  _loadedBlock(client, x, y, z) {
+    if (y < 0 || y >= CHUNK_HEIGHT) return -1
+    if (!client.chunks.has(`${Math.floor(x / CHUNK_SIZE)},${Math.floor(z / CHUNK_SIZE)}`)) return -1
+    return this.world.getBlock(x, y, z)
+  }
+
+  // Edits are only taken for chunks the sender has loaded, inside the world's height,
+  // and of blocks that exist, and in survival only the ones its player could have made
+  // (see _survivalAllows); accepted ones are applied and passed on to the players who
+  // have that chunk loaded. The sender gets the server's value of each block back: what
+  // it set if accepted, otherwise what's really there, which undoes its own copy of
+  // the edit. That also settles two players editing the same block at
+  // once, since both end up with whichever edit the server applied last. Edits to
+  // chunks the sender hasn't loaded get no answer: finding out what's there would
+  // mean generating them, and the game never sends those.
+  _setBlocks(client, blocks) {
+    if (blocks.length / 4 > MAX_BATCH) {
+      this._kick(client, `More than ${MAX_BATCH} blocks in one message`)
+      return
+    }
+    const accepted = [] // flat x, y, z, block, as in the message
+    const keys     = [] // chunk key of each accepted block
+    const echoed   = [] // the same for the sender
+    const survival = this.gameMode === 'survival'
+    let removed    = null // the last edit accepted, if it turned a block to air, as [x, y, z, old]
+    for (let i = 0; i < blocks.length; i += 4) {
+      const x = blocks[i], y = blocks[i + 1], z = blocks[i + 2], block = blocks[i + 3]
+      const key = `${Math.floor(x / CHUNK_SIZE)},${Math.floor(z / CHUNK_SIZE)}`
+      if (y < 0 || y >= CHUNK_HEIGHT) {
+        echoed.push(x, y, z, BLOCKS.AIR) // nothing is there
+        continue
+      }
+      if (!client.chunks.has(key)) continue
+      const old = this.world.getBlock(x, y, z)
+      if (getBlockType(block) === null || (survival && !this._survivalAllows(client, x, y, z, old, block, removed))) {
+        echoed.push(x, y, z, old)
+        continue
+      }
+      this.world.setBlock(x, y, z, block)
+      accepted.push(x, y, z, block)
+      keys.push(key)
+      echoed.push(x, y, z, block)
+      removed = block === BLOCKS.AIR ? [x, y, z, old] : null
+    }
+    if (echoed.length > 0) this._send(client, { type: MSG.SET_BLOCKS, blocks: echoed })
+
+    for (const other of this.clients.values()) {
+      if (other === client) continue
+      const passed = []
+      for (let i = 0; i < keys.length; i++) {
+        if (other.chunks.has(keys[i])) passed.push(...accepted.slice(i * 4, i * 4 + 4))
+      }
+      if (passed.length > 0) this._send(other, { type: MSG.SET_BLOCKS, blocks: passed })
+    }
+  }
+
+  // Whether a survival player could have changed `old` to `block`: by hand, breaking a
+  // block or placing one in air or liquid within reach of where it last said it was,
+  // or through the block updates its game runs (ticks.js). Those make a liquid flow on
+  // from the same liquid beside or above it and dry up again, and move a falling block
+  // with air or liquid under it down one: away from where it was, then into the block
+  // below right after that. `removed` is the edit accepted just before this one, as in
+  // _setBlocks.
+  _survivalAllows(client, x, y, z, old, block, removed) {
+    if (flowLevel(old) > 0 && (block === BLOCKS.AIR || fluidOf(block) === fluidOf(old))) return true
+    if (flowLevel(block) > 0 && old === BLOCKS.AIR) {
+      const fluid = fluidOf(block)
+      return FLOW_SOURCES.some(([dx, dy, dz]) => fluidOf(this._loadedBlock(client, x + dx, y + dy, z + dz)) === fluid)
+    }
+    if (block === BLOCKS.AIR && getBlockType(old)?.falls) {
+      const below = this._loadedBlock(client, x, y - 1, z)
+      if (below === BLOCKS.AIR || isLiquid(below)) return true
+    }
+    if (getBlockType(block)?.falls && (old === BLOCKS.AIR || isLiquid(old)) && removed !== null &&
+        removed[0] === x && removed[1] === y + 1 && removed[2] === z && removed[3] === block) {
+      return true
+    }
+
+    const { pose } = client
+    if (!pose) return false
+    const distance = Math.hypot(x + 0.5 - pose.x, y + 0.5 - (pose.y + PLAYER_HEIGHT), z + 0.5 - pose.z)
+    if (distance > REACH + REACH_SLACK) return false
+    return block === BLOCKS.AIR ? isBreakable(old) : old === BLOCKS.AIR || isLiquid(old)
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      port:     { type: 'string', default: '8080' },
+      seed:     { type: 'string' },
+      gamemode: { type: 'string', default: 'creative' },
+      world:    { type: 'string' },
+    },
+  })
+  if (!GAME_MODES.includes(values.gamemode)) throw new Error(`--gamemode must be one of ${GAME_MODES.join(', ')}`)
+
+  // Plugins can add blocks and change terrain, so the server needs the same ones as the game
+  await loadPlugins()
+  const path  = values.world
+  const world = path && existsSync(path) ? await ServerWorld.load(path) : new ServerWorld(parseSeed(values.seed))
+  const game  = new GameServer(world, { gameMode: values.gamemode })
+
+  const http = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' })
+    res.end('This is a game server: join it from the game with a ws:// address\n')
+  })
+  http.on('upgrade', (req, socket, head) => {
+    const connection = acceptUpgrade(req, socket, head)
+    if (connection) game.connect(connection)
+  })
+  http.listen(Number(values.port), () => {
+    console.log(`Listening on ws://localhost:${values.port} (seed ${world.seed}, ${values.gamemode})`)
+  })
+
+  if (path) {
+    const save = () => (world.dirty ? world.save(path) : Promise.resolve())
+      .catch(err => console.error('Failed to save the world', err))
+    setInterval(save, SAVE_INTERVAL)
+    for (const signal of ['SIGINT', 'SIGTERM']) process.on(signal, () => save().then(() => process.exit(0)))
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(err => {
+    console.error(err.message)
+    process.exit(1)
+  })
+}
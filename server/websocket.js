@@ -0,0 +1,177 @@
+import { createHash } from 'node:crypto'
+
+// Just enough of RFC 6455 for the game server, so it runs on a bare Node install:
+// the upgrade handshake, binary messages (fragmented or not), ping/pong and close.
+// Text messages aren't part of the protocol and end the connection.
+
+const GUID        = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+const MAX_MESSAGE = 8 * 1024 * 1024 // bytes; a full SET_BLOCKS batch is about 2.6 MB
+
+const OP_CONTINUATION = 0x0
+const OP_TEXT         = 0x1
+const OP_BINARY       = 0x2
+const OP_CLOSE        = 0x8
+const OP_PING         = 0x9
+const OP_PONG         = 0xa
+
+// Close codes
+const NORMAL         = 1000
+const PROTOCOL_ERROR = 1002
+const UNSUPPORTED    = 1003
+const TOO_BIG        = 1009
+
+export class WebSocketConnection {
+  constructor(socket) {
+    this.socket    = socket
+    this.buffer    = Buffer.alloc(0) // received bytes not yet parsed into frames
+    this.fragments = []              // payloads of a fragmented message so far
+    this.closed    = false
+
+    this.onMessage = () => {} // (Uint8Array) for each binary message
+    this.onClose   = () => {} // () once, however the connection ended
+
+    socket.setNoDelay(true)
+    socket.on('data', data => this._receive(data))
+    socket.on('close', () => this._closed())
+    socket.on('error', () => socket.destroy())
+  }
+
+  send(bytes) {
+    if (!this.closed) this.socket.write(frame(OP_BINARY, bytes))
+  }
+
+  close(code = NORMAL) {
+    if (this.closed) return
+    const payload = Buffer.alloc(2)
+    payload.writeUInt16BE(code)
+    this.socket.end(frame(OP_CLOSE, payload))
+    this._closed()
+  }
+
+  _closed() {
+    if (this.closed) return
+    this.closed = true
+    this.onClose()
+  }
+
+  _receive(data) {
+    this.buffer = this.buffer.length === 0 ? data : Buffer.concat([this.buffer, data])
+    while (!this.closed) {
+      const parsed = parseFrame(this.buffer)
+      if (parsed === null) return // wait for the rest of the frame
+      if (parsed.error) {
+        this.close(parsed.error)
+        return
+      }
+      this.buffer = this.buffer.subarray(parsed.length)
+      this._frame(parsed)
+    }
+  }
+
+  _frame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OP_PING:
+        this.socket.write(frame(OP_PONG, payload))
+        return
+      case OP_PONG:
+        return
+      case OP_CLOSE:
+        this.close()
+        return
+      case OP_TEXT:
+        this.close(UNSUPPORTED)
+        return
+      case OP_BINARY:
+      case OP_CONTINUATION: {
+        if ((opcode === OP_BINARY) !== (this.fragments.length === 0)) {
+          this.close(PROTOCOL_ERROR) // a new message mid-message, or a stray continuation
+          return
+        }
+        this.fragments.push(payload)
+        const size = this.fragments.reduce((sum, part) => sum + part.length, 0)
+        if (size > MAX_MESSAGE) {
+          this.close(TOO_BIG)
+          return
+        }
+        if (!fin) return
+        const message = this.fragments.length === 1 ? payload : Buffer.concat(this.fragments)
+        this.fragments = []
+        this.onMessage(new Uint8Array(message.buffer, message.byteOffset, message.length))
+        return
+      }
+      default:
+        this.close(PROTOCOL_ERROR)
+    }
+  }
+}
+
+// One frame from the start of `buffer`: { fin, opcode, payload, length } with the
+// payload unmasked, { error: closeCode }, or null if it isn't all there yet
+function parseFrame(buffer) {
+  if (buffer.length < 2) return null
+  const fin    = (buffer[0] & 0x80) !== 0
+  const opcode = buffer[0] & 0x0f
+  const masked = (buffer[1] & 0x80) !== 0
+  let length   = buffer[1] & 0x7f
+  let offset   = 2
+  if (!masked) return { error: PROTOCOL_ERROR } // clients must mask everything
+  if (length === 126) {
+    if (buffer.length < 4) return null
+    length = buffer.readUInt16BE(2)
+    offset = 4
+  } else if (length === 127) {
+    if (buffer.length < 10) return null
+    const big = buffer.readBigUInt64BE(2)
+    if (big > BigInt(MAX_MESSAGE)) return { error: TOO_BIG }
+    length = Number(big)
+    offset = 10
+  }
+  if (length > MAX_MESSAGE) return { error: TOO_BIG }
+  if (buffer.length < offset + 4 + length) return null
+
+  const mask    = buffer.subarray(offset, offset + 4)
+  const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length))
+  for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3]
+  return { fin, opcode, payload, length: offset + 4 + length }
+}
+
+// A whole, unmasked frame, as servers send them
+function frame(opcode, payload) {
+  const length = payload.length
+  const header = length < 126 ? 2 : length < 65536 ? 4 : 10
+  const out    = Buffer.alloc(header + length)
+  out[0] = 0x80 | opcode
+  if (length < 126) {
+    out[1] = length
+  } else if (length < 65536) {
+    out[1] = 126
+    out.writeUInt16BE(length, 2)
+  } else {
+    out[1] = 127
+    out.writeBigUInt64BE(BigInt(length), 2)
+  }
+  out.set(payload, header)
+  return out
+}
+
+// Complete the handshake for an HTTP server's 'upgrade' event; `head` is whatever the
+// client sent after its request. Returns the connection, or null after turning the
+// request away.
+export function acceptUpgrade(req, socket, head) {
+  const key = req.headers['sec-websocket-key']
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n')
+    return null
+  }
+  const accept = createHash('sha1').update(key + GUID).digest('base64')
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  )
+  const connection = new WebSocketConnection(socket)
+  // On the next tick, once the caller has set onMessage
+  if (head?.length > 0) process.nextTick(() => connection._receive(head))
+  return connection
+}
@@ -0,0 +1,128 @@
+import { readFile, writeFile, rename } from 'node:fs/promises'
+import { Chunk, CHUNK_SIZE, CHUNK_HEIGHT } from '../js/chunk.js'
+import { TerrainGenerator, generateChunk } from '../js/terrain.js'
+
+// The server's copy of the world: the seed, and every block players have changed.
+// Terrain is generated the same way the game does it, so only the differences from
+// it are kept and sent; a chunk is generated here the first time it's edited.
+//
+// Save file: "BXW" and a format byte, seed i32, chunk count u32, then per chunk
+// cx i32, cz i32, edit count u32 and (index u16, block u8) per edit, little-endian.
+
+const MAGIC       = 'BXW'
+const FILE_FORMAT = 1
+
+export class ServerWorld {
+  constructor(seed) {
+    this.seed      = seed
+    this.generator = new TerrainGenerator(seed)
+    this.chunks    = new Map() // "cx,cz" -> { base, data, edits: Map index -> block }
+    this.dirty     = false     // edited since the last save
+  }
+
+  _entry(cx, cz) {
+    const key = `${cx},${cz}`
+    let entry = this.chunks.get(key)
+    if (!entry) {
+      const chunk = new Chunk(cx, cz)
+      generateChunk(this.generator, chunk)
+      entry = { base: chunk.data, data: chunk.data.slice(), edits: new Map() }
+      this.chunks.set(key, entry)
+    }
+    return entry
+  }
+
+  getBlock(wx, wy, wz) {
+    if (wy < 0 || wy >= CHUNK_HEIGHT) return -1
+    const cx = Math.floor(wx / CHUNK_SIZE)
+    const cz = Math.floor(wz / CHUNK_SIZE)
+    const lx = wx - cx * CHUNK_SIZE
+    const lz = wz - cz * CHUNK_SIZE
+    return this._entry(cx, cz).data[lx + CHUNK_SIZE * (wy + CHUNK_HEIGHT * lz)]
+  }
+
+  // Returns false, changing nothing, for a y outside the world
+  setBlock(wx, wy, wz, block) {
+    if (wy < 0 || wy >= CHUNK_HEIGHT) return false
+    const cx    = Math.floor(wx / CHUNK_SIZE)
+    const cz    = Math.floor(wz / CHUNK_SIZE)
+    const index = (wx - cx * CHUNK_SIZE) + CHUNK_SIZE * (wy + CHUNK_HEIGHT * (wz - cz * CHUNK_SIZE))
+    const entry = this._entry(cx, cz)
+    entry.data[index] = block
+    // Changing a block back to the generated one leaves nothing to send
+    if (entry.base[index] === block) {
+      entry.edits.delete(index)
+    } else {
+      entry.edits.set(index, block)
+    }
+    this.dirty = true
+    return true
+  }
+
+  // Forget a chunk nobody has loaded any more, unless it holds edits; it's generated
+  // again if it's needed
+  release(cx, cz) {
+    const key = `${cx},${cz}`
+    if (this.chunks.get(key)?.edits.size === 0) this.chunks.delete(key)
+  }
+
+  // Flat (index, block) pairs for CHUNK_EDITS
+  editsOf(cx, cz) {
+    const entry = this.chunks.get(`${cx},${cz}`)
+    return entry ? [...entry.edits].flat() : []
+  }
+
+  async save(path) {
+    const chunks = [...this.chunks].filter(([, entry]) => entry.edits.size > 0)
+    const size   = 12 + chunks.reduce((sum, [, entry]) => sum + 12 + entry.edits.size * 3, 0)
+    const bytes  = Buffer.alloc(size)
+    bytes.write(MAGIC, 0, 'latin1')
+    bytes.writeUInt8(FILE_FORMAT, 3)
+    bytes.writeInt32LE(this.seed, 4)
+    bytes.writeUInt32LE(chunks.length, 8)
+    let offset = 12
+    for (const [key, entry] of chunks) {
+      const [cx, cz] = key.split(',').map(Number)
+      offset = bytes.writeInt32LE(cx, offset)
+      offset = bytes.writeInt32LE(cz, offset)
+      offset = bytes.writeUInt32LE(entry.edits.size, offset)
+      for (const [index, block] of entry.edits) {
+        offset = bytes.writeUInt16LE(index, offset)
+        offset = bytes.writeUInt8(block, offset)
+      }
+    }
+    // Written aside and renamed over the old file, so a crash can't leave half a save.
+    // Edits made while it's being written mark the world dirty again.
+    this.dirty = false
+    try {
+      await writeFile(`${path}.tmp`, bytes)
+      await rename(`${path}.tmp`, path)
+    } catch (err) {
+      this.dirty = true
+      throw err
+    }
+  }
+
+  static async load(path) {
+    const bytes = await readFile(path)
+    if (bytes.toString('latin1', 0, 3) !== MAGIC) throw new Error(`${path} is not a saved world`)
+    if (bytes.readUInt8(3) !== FILE_FORMAT) throw new Error(`${path} was saved in an unknown format`)
+    const world = new ServerWorld(bytes.readInt32LE(4))
+    const count = bytes.readUInt32LE(8)
+    let offset = 12
+    for (let c = 0; c < count; c++) {
+      const cx    = bytes.readInt32LE(offset)
+      const cz    = bytes.readInt32LE(offset + 4)
+      const edits = bytes.readUInt32LE(offset + 8)
+      const entry = world._entry(cx, cz)
+      offset += 12
+      for (let e = 0; e < edits; e++, offset += 3) {
+        const index = bytes.readUInt16LE(offset)
+        const block = bytes.readUInt8(offset + 2)
+        entry.data[index] = block
+        entry.edits.set(index, block)
+      }
+    }
+    return world
+  }
+}
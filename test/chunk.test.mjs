@@ -0,0 +1,81 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { Chunk, CHUNK_SIZE, CHUNK_HEIGHT } from '../js/chunk.js'
+import { BLOCKS } from '../js/blocks.js'
+import { emptyWorld } from './helpers.mjs'
+
+test('chunk indices cover the data array once each, x fastest', () => {
+  const chunk = new Chunk(0, 0)
+  const seen  = new Set()
+  for (let z = 0; z < CHUNK_SIZE; z++) {
+    for (let y = 0; y < CHUNK_HEIGHT; y++) {
+      for (let x = 0; x < CHUNK_SIZE; x++) seen.add(chunk.index(x, y, z))
+    }
+  }
+  assert.equal(seen.size, chunk.data.length)
+  assert.equal(Math.min(...seen), 0)
+  assert.equal(Math.max(...seen), chunk.data.length - 1)
+  assert.equal(chunk.index(1, 0, 0), 1)
+  assert.equal(chunk.index(0, 1, 0), CHUNK_SIZE)
+  assert.equal(chunk.index(0, 0, 1), CHUNK_SIZE * CHUNK_HEIGHT)
+})
+
+test('chunk reads outside its bounds are -1 and writes there are ignored', () => {
+  const chunk = new Chunk(0, 0)
+  for (const [x, y, z] of [[-1, 0, 0], [CHUNK_SIZE, 0, 0], [0, -1, 0], [0, CHUNK_HEIGHT, 0], [0, 0, -1], [0, 0, CHUNK_SIZE]]) {
+    assert.equal(chunk.getBlock(x, y, z), -1)
+    chunk.setBlock(x, y, z, BLOCKS.STONE)
+  }
+  assert.ok(chunk.data.every(block => block === BLOCKS.AIR))
+})
+
+test('world positions map to the chunk and local position they are in, negative ones too', () => {
+  const world = emptyWorld(-2, -2, 1, 1)
+  const cases = [
+    // world x, chunk x, local x
+    [0, 0, 0],
+    [15, 0, 15],
+    [16, 1, 0],
+    [-1, -1, 15],
+    [-16, -1, 0],
+    [-17, -2, 15],
+    [-32, -2, 0],
+  ]
+  for (const [wx, cx, lx] of cases) {
+    for (const [wz, cz, lz] of cases) {
+      world.setBlockWorld(wx, 7, wz, BLOCKS.STONE)
+      assert.equal(world.getChunk(cx, cz).getBlock(lx, 7, lz), BLOCKS.STONE, `block ${wx}, ${wz}`)
+      assert.equal(world.getBlockWorld(wx, 7, wz), BLOCKS.STONE)
+      world.setBlockWorld(wx, 7, wz, BLOCKS.AIR)
+    }
+  }
+})
+
+test('a row of edits across negative chunks reads back with nothing else changed', () => {
+  const world = emptyWorld(-2, -2, 1, 1)
+  for (let wx = -32; wx < 32; wx++) world.setBlockWorld(wx, 3, -wx - 1, BLOCKS.STONE)
+
+  let count = 0
+  for (const chunk of world.chunks.values()) count += chunk.data.filter(block => block === BLOCKS.STONE).length
+  assert.equal(count, 64)
+  for (let wx = -32; wx < 32; wx++) {
+    assert.equal(world.getBlockWorld(wx, 3, -wx - 1), BLOCKS.STONE)
+    assert.equal(world.getBlockWorld(wx, 3, -wx), BLOCKS.AIR)
+  }
+})
+
+test('isLoadedAt rounds fractional and negative positions down to their chunk', () => {
+  const world = emptyWorld(0, 0, 0, 0)
+  assert.equal(world.isLoadedAt(0, 0), true)
+  assert.equal(world.isLoadedAt(15.99, 15.99), true)
+  assert.equal(world.isLoadedAt(16, 0), false)
+  assert.equal(world.isLoadedAt(-0.01, 0), false)
+  assert.equal(world.isLoadedAt(0, -0.01), false)
+})
+
+test('unloaded chunks read as air and ignore edits', () => {
+  const world = emptyWorld(0, 0, 0, 0)
+  world.setBlockWorld(-1, 5, 0, BLOCKS.STONE)
+  assert.equal(world.getBlockWorld(-1, 5, 0), BLOCKS.AIR)
+  assert.equal(world.dirty.size, 0)
+})
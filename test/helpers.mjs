@@ -0,0 +1,35 @@
+import { VoxelWorld } from '../js/voxelWorld.js'
+import { TerrainGenerator } from '../js/terrain.js'
+import { CHUNK_SIZE, CHUNK_HEIGHT } from '../js/chunk.js'
+
+// Shared setup for the tests. Run them all from the repository root with
+//
+//   node --test test/*.test.mjs
+//
+// They only load the headless modules (voxelWorld.js and what it uses), so a plain
+// Node install is all they need: no browser, no Three.js.
+
+// A world of empty chunks from (cx0, cz0) to (cx1, cz1), corners included, to build
+// test scenes in. They're loaded the way saved chunks are, from `edited`, so no
+// terrain is generated.
+export function emptyWorld(cx0, cz0, cx1, cz1) {
+  const world = new VoxelWorld(new TerrainGenerator(1))
+  for (let cx = cx0; cx <= cx1; cx++) {
+    for (let cz = cz0; cz <= cz1; cz++) {
+      world.edited.set(world.chunkKey(cx, cz), new Uint8Array(CHUNK_SIZE * CHUNK_HEIGHT * CHUNK_SIZE))
+      world.loadChunk(cx, cz)
+    }
+  }
+  return world
+}
+
+// Set every block in a box, corners included, as one batch
+export function fill(world, x0, y0, z0, x1, y1, z1, block) {
+  world.batch(() => {
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        for (let z = z0; z <= z1; z++) world.setBlockWorld(x, y, z, block)
+      }
+    }
+  })
+}
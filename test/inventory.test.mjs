@@ -0,0 +1,27 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { BLOCKS } from '../js/blocks.js'
+import { Inventory, MAX_STACK } from '../js/inventory.js'
+
+test('adding to a full inventory changes nothing and tells no one', () => {
+  const inventory = new Inventory(2)
+  inventory.set(0, { id: BLOCKS.STONE, count: MAX_STACK })
+  inventory.set(1, { id: BLOCKS.DIRT, count: MAX_STACK })
+  let changes = 0
+  inventory.onChange = () => changes++
+
+  assert.equal(inventory.add(BLOCKS.SAND, 1), 1)
+  assert.equal(inventory.add(BLOCKS.AIR, 1), 0)
+  assert.equal(changes, 0)
+})
+
+test('adding tops up stacks first and reports what did not fit', () => {
+  const inventory = new Inventory(2)
+  inventory.set(1, { id: BLOCKS.STONE, count: MAX_STACK - 2 })
+  let changes = 0
+  inventory.onChange = () => changes++
+
+  assert.equal(inventory.add(BLOCKS.STONE, MAX_STACK + 5), 3)
+  assert.deepEqual(inventory.slots, [{ id: BLOCKS.STONE, count: MAX_STACK }, { id: BLOCKS.STONE, count: MAX_STACK }])
+  assert.equal(changes, 1)
+})
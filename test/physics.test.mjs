@@ -0,0 +1,138 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { BLOCKS } from '../js/blocks.js'
+import { PLAYER_WIDTH, PLAYER_HEIGHT, STEP_HEIGHT, moveAndCollide, applyGravity } from '../js/physics.js'
+import { emptyWorld, fill } from './helpers.mjs'
+
+const DT = 1 / 60
+const W  = PLAYER_WIDTH / 2
+
+// The player's body standing at (x, y, z)
+function body(x, y, z, options) {
+  return {
+    pos: { x, y, z }, vel: { x: 0, y: 0, z: 0 },
+    width: PLAYER_WIDTH, height: PLAYER_HEIGHT, stepHeight: STEP_HEIGHT, sneaking: false, onGround: false,
+    ...options,
+  }
+}
+
+// Walk at (vx, vz) units/s for `seconds`, falling as the player does
+function walk(world, b, vx, vz, seconds) {
+  let impact = 0
+  for (let t = 0; t < seconds; t += DT) {
+    b.vel.x = vx
+    b.vel.z = vz
+    applyGravity(b, DT, false)
+    impact = Math.max(impact, moveAndCollide(world, b, DT))
+  }
+  return impact
+}
+
+// Stone floor with its top at y = 1, over x and z from -20 to 19, across four chunks
+function floorWorld() {
+  const world = emptyWorld(-2, -2, 1, 1)
+  fill(world, -20, 0, -20, 19, 0, 19, BLOCKS.STONE)
+  return world
+}
+
+test('a falling body lands flush on the floor and reports how hard it hit', () => {
+  const world  = floorWorld()
+  const b      = body(-3.5, 6, -7.5)
+  const impact = walk(world, b, 0, 0, 2)
+  assert.equal(b.pos.y, 1)
+  assert.equal(b.onGround, true)
+  assert.equal(b.vel.y, 0)
+  assert.ok(impact > 10, `impact ${impact}`)
+})
+
+test('walking across chunk borders on flat ground never catches on a seam', () => {
+  const world = floorWorld()
+  const b     = body(-18.5, 1, -0.01, { stepHeight: 0 })
+  walk(world, b, 0, 0, 0.1)
+  walk(world, b, 6, 0, 5)
+  assert.ok(b.pos.x > 10, `x ${b.pos.x}`)
+  assert.equal(b.pos.y, 1)
+})
+
+test('the player walks up a one-block ledge without jumping', () => {
+  const world = floorWorld()
+  fill(world, 2, 1, -20, 19, 1, 19, BLOCKS.STONE)
+  const b = body(-1.5, 1, 0.5)
+  walk(world, b, 4, 0, 2)
+  assert.ok(b.pos.x > 2, `x ${b.pos.x}`)
+  assert.equal(b.pos.y, 2)
+})
+
+test('a two-block wall stops the player flush with its face', () => {
+  const world = floorWorld()
+  fill(world, 2, 1, -20, 2, 2, 19, BLOCKS.STONE)
+  const b = body(-1.5, 1, 0.5)
+  walk(world, b, 4, 0, 2)
+  assert.equal(b.pos.x, 2 - W)
+  assert.equal(b.pos.y, 1)
+  assert.equal(b.vel.x, 0)
+})
+
+test('stepping up needs headroom for the whole body', () => {
+  const world = floorWorld()
+  fill(world, 2, 1, -20, 19, 1, 19, BLOCKS.STONE)
+  fill(world, 1, 3, -20, 3, 3, 19, BLOCKS.STONE)
+  const b = body(-1.5, 1, 0.5)
+  walk(world, b, 4, 0, 2)
+  assert.equal(b.pos.x, 2 - W)
+  assert.equal(b.pos.y, 1)
+})
+
+test('no step up without a step height', () => {
+  const world = floorWorld()
+  fill(world, 2, 1, -20, 19, 1, 19, BLOCKS.STONE)
+  const b = body(-1.5, 1, 0.5, { stepHeight: 0 })
+  walk(world, b, 4, 0, 2)
+  assert.equal(b.pos.x, 2 - W)
+  assert.equal(b.pos.y, 1)
+})
+
+test('moving into a wall at an angle slides along it', () => {
+  const world = floorWorld()
+  fill(world, -6, 1, -20, -6, 3, 19, BLOCKS.STONE)
+  const b = body(-3.5, 1, 0.5)
+  walk(world, b, -4, -4, 1)
+  assert.equal(b.pos.x, -5 + W)
+  assert.ok(b.pos.z < -3, `z ${b.pos.z}`)
+})
+
+test('a body still resting on the corner of a block does not fall', () => {
+  const world = emptyWorld(-1, -1, 0, 0)
+  world.setBlockWorld(-1, 0, -1, BLOCKS.STONE)
+  // Its box overlaps the block by 0.05 on each side
+  const b = body(W - 0.05, 1, W - 0.05)
+  walk(world, b, 0, 0, 1)
+  assert.equal(b.pos.y, 1)
+  assert.equal(b.onGround, true)
+})
+
+test('sneaking stops at the edge of what it stands on, in every direction', () => {
+  const world = emptyWorld(-1, -1, 0, 0)
+  fill(world, -3, 0, -3, 0, 0, 0, BLOCKS.STONE)
+  for (const [vx, vz] of [[4, 0], [-4, 0], [0, 4], [0, -4], [3, 3], [-3, -3]]) {
+    const b = body(-1.5, 1, -1.5, { sneaking: true })
+    walk(world, b, vx, vz, 3)
+    assert.equal(b.pos.y, 1, `moving ${vx}, ${vz}`)
+    assert.equal(b.onGround, true)
+    // Still over the floor, and no further from its edge than one back-off step
+    for (const c of [b.pos.x, b.pos.z]) {
+      assert.ok(c - W < 1 && c + W > -3, `moving ${vx}, ${vz}: ${c}`)
+    }
+    if (vx > 0) assert.ok(b.pos.x > 1 + W - 0.06, `x ${b.pos.x}`)
+    if (vx < 0) assert.ok(b.pos.x < -3 - W + 0.06, `x ${b.pos.x}`)
+  }
+})
+
+test('without sneaking the same walk goes over the edge', () => {
+  const world = emptyWorld(-1, -1, 0, 0)
+  fill(world, -3, 0, -3, 0, 0, 0, BLOCKS.STONE)
+  const b = body(-1.5, 1, -1.5)
+  walk(world, b, 4, 0, 1)
+  assert.ok(b.pos.y < 1, `y ${b.pos.y}`)
+  assert.ok(b.pos.x > 1 + W, `x ${b.pos.x}`)
+})
@@ -0,0 +1,115 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { BLOCKS, isBreakable, flowingBlock } from '../js/blocks.js'
+import { raycastBlocks } from '../js/raycast.js'
+import { emptyWorld, fill } from './helpers.mjs'
+
+function unit(x, y, z) {
+  const length = Math.hypot(x, y, z)
+  return { x: x / length, y: y / length, z: z / length }
+}
+
+// Same numbers every run, so a failure can be reproduced
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+    t ^= t + Math.imul(t ^ (t >>> 7), 61 | t)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+test('looking straight down hits the block below, with the placing spot on top', () => {
+  const world = emptyWorld(0, 0, 0, 0)
+  world.setBlockWorld(3, 5, 3, BLOCKS.STONE)
+  const result = raycastBlocks(world, { x: 3.5, y: 8.5, z: 3.5 }, { x: 0, y: -1, z: 0 }, 5)
+  assert.deepEqual(result.hit, { x: 3, y: 5, z: 3 })
+  assert.deepEqual(result.before, { x: 3, y: 6, z: 3 })
+  assert.equal(result.distance, 2.5)
+})
+
+test('rays travel the right way through negative coordinates and chunk borders', () => {
+  const world = emptyWorld(-1, -1, 0, 0)
+  world.setBlockWorld(-4, 5, -1, BLOCKS.STONE)
+  world.setBlockWorld(2, 5, -3, BLOCKS.STONE)
+
+  const west = raycastBlocks(world, { x: 0.5, y: 5.5, z: -0.5 }, { x: -1, y: 0, z: 0 }, 6)
+  assert.deepEqual(west.hit, { x: -4, y: 5, z: -1 })
+  assert.deepEqual(west.before, { x: -3, y: 5, z: -1 })
+  assert.equal(west.distance, 3.5)
+
+  const north = raycastBlocks(world, { x: 2.5, y: 5.5, z: 0.25 }, { x: 0, y: 0, z: -1 }, 6)
+  assert.deepEqual(north.hit, { x: 2, y: 5, z: -3 })
+  assert.deepEqual(north.before, { x: 2, y: 5, z: -2 })
+  assert.equal(north.distance, 2.25)
+})
+
+test('blocks past the range are not hit', () => {
+  const world = emptyWorld(0, 0, 0, 0)
+  world.setBlockWorld(8, 5, 3, BLOCKS.STONE)
+  const origin = { x: 3.5, y: 5.5, z: 3.5 }
+  const east   = { x: 1, y: 0, z: 0 }
+  assert.equal(raycastBlocks(world, origin, east, 4), null)
+  assert.deepEqual(raycastBlocks(world, origin, east, 4.6).hit, { x: 8, y: 5, z: 3 })
+})
+
+test('rays pass through liquids, placing into the liquid in front of the block', () => {
+  const world = emptyWorld(0, 0, 0, 0)
+  fill(world, 5, 5, 3, 6, 5, 3, BLOCKS.WATER)
+  world.setBlockWorld(7, 5, 3, BLOCKS.STONE)
+  const result = raycastBlocks(world, { x: 3.5, y: 5.5, z: 3.5 }, { x: 1, y: 0, z: 0 }, 5)
+  assert.deepEqual(result.hit, { x: 7, y: 5, z: 3 })
+  assert.deepEqual(result.before, { x: 6, y: 5, z: 3 })
+})
+
+test('the bed under water can be dug', () => {
+  const world = emptyWorld(0, 0, 0, 0)
+  fill(world, 0, 0, 0, 15, 2, 15, BLOCKS.SAND)
+  fill(world, 0, 3, 0, 15, 5, 15, BLOCKS.WATER)
+  world.setBlockWorld(4, 4, 4, flowingBlock(BLOCKS.WATER, 1))
+  const result = raycastBlocks(world, { x: 4.5, y: 6.5, z: 4.5 }, { x: 0, y: -1, z: 0 }, 5)
+  assert.deepEqual(result.hit, { x: 4, y: 2, z: 4 })
+  assert.equal(isBreakable(world.getBlockWorld(4, 2, 4)), true)
+})
+
+test('a diagonal ray steps between face neighbors only', () => {
+  const world  = emptyWorld(0, 0, 0, 0)
+  world.setBlockWorld(5, 5, 4, BLOCKS.STONE)
+  const result = raycastBlocks(world, { x: 2.2, y: 5.5, z: 2.7 }, unit(2, 0, 1), 6)
+  assert.deepEqual(result.hit, { x: 5, y: 5, z: 4 })
+  const { hit, before } = result
+  assert.equal(Math.abs(hit.x - before.x) + Math.abs(hit.y - before.y) + Math.abs(hit.z - before.z), 1)
+})
+
+test('random rays hit the first block a fine march along them finds', () => {
+  const world = emptyWorld(-1, -1, 0, 0)
+  const rand  = random(7)
+  world.batch(() => {
+    for (let i = 0; i < 400; i++) {
+      const x = Math.floor(rand() * 24) - 12
+      const y = Math.floor(rand() * 12) + 2
+      const z = Math.floor(rand() * 24) - 12
+      world.setBlockWorld(x, y, z, BLOCKS.STONE)
+    }
+  })
+
+  const STEP = 0.0005
+  for (let i = 0; i < 200; i++) {
+    const origin = { x: rand() * 8 - 4, y: 6 + rand() * 4, z: rand() * 8 - 4 }
+    if (world.getBlockWorld(Math.floor(origin.x), Math.floor(origin.y), Math.floor(origin.z)) !== BLOCKS.AIR) continue
+    const dir = unit(rand() * 2 - 1, rand() * 2 - 1, rand() * 2 - 1)
+
+    let expected = null
+    for (let t = 0; t < 6; t += STEP) {
+      const x = Math.floor(origin.x + dir.x * t)
+      const y = Math.floor(origin.y + dir.y * t)
+      const z = Math.floor(origin.z + dir.z * t)
+      if (world.getBlockWorld(x, y, z) !== BLOCKS.AIR) {
+        expected = { x, y, z }
+        break
+      }
+    }
+    const result = raycastBlocks(world, origin, dir, 6)
+    assert.deepEqual(result?.hit ?? null, expected, `ray ${i}`)
+  }
+})
@@ -0,0 +1,168 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { MSG, PROTOCOL_VERSION, encode, decode } from '../js/protocol.js'
+import { BLOCKS, flowingBlock } from '../js/blocks.js'
+import { GameServer } from '../server/server.js'
+import { ServerWorld } from '../server/world.js'
+
+// A client connected straight to the server, keeping its own copy of the blocks it
+// edits or hears about the way net.js does: its edits apply at once, and every
+// SET_BLOCKS from the server is applied on top in the order it arrives
+function connect(server, name) {
+  const client = {
+    blocks:   new Map(), // "x,y,z" -> block
+    received: [],
+    closed:   false,
+    send:     msg => client.onMessage(encode(msg)),
+    setBlock(x, y, z, block) {
+      client.blocks.set(`${x},${y},${z}`, block)
+      client.send({ type: MSG.SET_BLOCKS, blocks: [x, y, z, block] })
+    },
+  }
+  server.connect({
+    send(bytes) {
+      const msg = decode(bytes)
+      client.received.push(msg)
+      if (msg.type !== MSG.SET_BLOCKS) return
+      for (let i = 0; i < msg.blocks.length; i += 4) {
+        client.blocks.set(`${msg.blocks[i]},${msg.blocks[i + 1]},${msg.blocks[i + 2]}`, msg.blocks[i + 3])
+      }
+    },
+    close() {
+      client.closed = true
+    },
+    set onMessage(fn) {
+      client.onMessage = fn
+    },
+    set onClose(fn) {
+      client.onClose = fn
+    },
+  })
+  client.send({ type: MSG.HELLO, version: PROTOCOL_VERSION, name })
+  return client
+}
+
+function setup(gameMode) {
+  const world  = new ServerWorld(7)
+  const server = new GameServer(world, { gameMode, log: () => {} })
+  const a      = connect(server, 'a')
+  const b      = connect(server, 'b')
+  for (const client of [a, b]) client.send({ type: MSG.SUBSCRIBE, cx: 0, cz: 0 })
+  return { world, server, a, b }
+}
+
+test('two players editing the same block at once end up agreeing with the server', () => {
+  const { world, a, b } = setup()
+  // Both edit before either hears about the other's edit; the server takes a's first
+  a.blocks.set('3,40,3', BLOCKS.STONE)
+  b.blocks.set('3,40,3', BLOCKS.DIRT)
+  a.send({ type: MSG.SET_BLOCKS, blocks: [3, 40, 3, BLOCKS.STONE] })
+  b.send({ type: MSG.SET_BLOCKS, blocks: [3, 40, 3, BLOCKS.DIRT] })
+
+  assert.equal(world.getBlock(3, 40, 3), BLOCKS.DIRT)
+  assert.equal(a.blocks.get('3,40,3'), BLOCKS.DIRT)
+  assert.equal(b.blocks.get('3,40,3'), BLOCKS.DIRT)
+})
+
+test('edits the server drops are undone for the sender', () => {
+  const { world, a, b } = setup()
+
+  // A chunk it hasn't subscribed to gets no answer, and isn't generated to find one
+  a.setBlock(20, 30, 4, BLOCKS.WOOD)
+  assert.equal(world.chunks.has('1,0'), false)
+  assert.equal(a.received.some(msg => msg.type === MSG.SET_BLOCKS), false)
+
+  // Above the top of the world
+  a.setBlock(3, 200, 3, BLOCKS.STONE)
+  assert.equal(a.blocks.get('3,200,3'), BLOCKS.AIR)
+
+  // A block that doesn't exist
+  a.setBlock(3, 40, 3, 250)
+  assert.equal(a.blocks.get('3,40,3'), world.getBlock(3, 40, 3))
+
+  assert.equal(b.received.filter(msg => msg.type === MSG.SET_BLOCKS).length, 0)
+})
+
+test('accepted edits reach the other players with the chunk loaded', () => {
+  const { world, a, b } = setup()
+  a.setBlock(5, 41, 6, BLOCKS.WOOD)
+  assert.equal(world.getBlock(5, 41, 6), BLOCKS.WOOD)
+  assert.equal(b.blocks.get('5,41,6'), BLOCKS.WOOD)
+  assert.equal(a.closed || b.closed, false)
+})
+
+test('chunks nobody has loaded any more are forgotten unless they were edited', () => {
+  const { world, a, b } = setup()
+  a.setBlock(5, 41, 6, BLOCKS.WOOD)
+  for (const client of [a, b]) client.send({ type: MSG.SUBSCRIBE, cx: 3, cz: 3 })
+  a.setBlock(50, 200, 50, BLOCKS.WOOD)
+  b.setBlock(50, 41, 50, 250)
+  assert.equal(world.chunks.has('3,3'), true)
+
+  a.send({ type: MSG.UNSUBSCRIBE, cx: 3, cz: 3 })
+  assert.equal(world.chunks.has('3,3'), true)
+  b.send({ type: MSG.UNSUBSCRIBE, cx: 3, cz: 3 })
+  assert.equal(world.chunks.has('3,3'), false)
+  for (const client of [a, b]) client.send({ type: MSG.UNSUBSCRIBE, cx: 0, cz: 0 })
+  assert.equal(world.getBlock(5, 41, 6), BLOCKS.WOOD)
+})
+
+test('a player loading more chunks than the game ever does is disconnected', () => {
+  const { a } = setup()
+  for (let cx = 0; cx < 40 && !a.closed; cx++) {
+    for (let cz = 0; cz < 40; cz++) a.send({ type: MSG.SUBSCRIBE, cx, cz })
+  }
+  assert.equal(a.closed, true)
+  assert.match(a.received.find(msg => msg.type === MSG.ERROR).message, /chunks loaded/)
+})
+
+test('in survival, edits out of reach are refused', () => {
+  const { world, a } = setup('survival')
+  const real = world.getBlock(3, 40, 12)
+  // No position yet
+  a.setBlock(3, 40, 3, BLOCKS.WOOD)
+  assert.equal(world.getBlock(3, 40, 3), BLOCKS.AIR)
+  assert.equal(a.blocks.get('3,40,3'), BLOCKS.AIR)
+
+  a.send({ type: MSG.MOVE, x: 3.5, y: 39, z: 3.5, yaw: 0, pitch: 0 })
+  a.setBlock(3, 40, 3, BLOCKS.WOOD)
+  assert.equal(world.getBlock(3, 40, 3), BLOCKS.WOOD)
+  a.setBlock(3, 40, 12, BLOCKS.WOOD)
+  assert.equal(world.getBlock(3, 40, 12), real)
+  assert.equal(a.blocks.get('3,40,12'), real)
+})
+
+test('in survival, only breakable blocks are broken and blocks only go in air or liquid', () => {
+  const { world, a } = setup('survival')
+  a.send({ type: MSG.MOVE, x: 3.5, y: 39, z: 3.5, yaw: 0, pitch: 0 })
+  a.setBlock(3, 40, 3, BLOCKS.WATER)
+  a.setBlock(3, 40, 3, BLOCKS.WOOD)
+  assert.equal(world.getBlock(3, 40, 3), BLOCKS.WOOD)
+  a.setBlock(3, 40, 3, BLOCKS.STONE)
+  assert.equal(world.getBlock(3, 40, 3), BLOCKS.WOOD)
+  a.setBlock(3, 40, 4, BLOCKS.WATER)
+  a.setBlock(3, 40, 4, BLOCKS.AIR)
+  assert.equal(world.getBlock(3, 40, 4), BLOCKS.WATER)
+})
+
+test('in survival, the block updates a player sets off are taken anywhere in its chunks', () => {
+  const { world, a } = setup('survival')
+  const flowing = flowingBlock(BLOCKS.WATER, 1)
+  world.setBlock(3, 40, 3, BLOCKS.WATER)
+  world.setBlock(10, 44, 10, BLOCKS.SAND)
+
+  // Water flows on from water beside it, and dries up again; not from nothing
+  a.setBlock(4, 40, 3, flowing)
+  assert.equal(world.getBlock(4, 40, 3), flowing)
+  a.setBlock(4, 40, 3, BLOCKS.AIR)
+  assert.equal(world.getBlock(4, 40, 3), BLOCKS.AIR)
+  a.setBlock(8, 40, 8, flowing)
+  assert.equal(world.getBlock(8, 40, 8), BLOCKS.AIR)
+
+  // Sand falls one block at a time, into where it just left from
+  a.send({ type: MSG.SET_BLOCKS, blocks: [10, 44, 10, BLOCKS.AIR, 10, 43, 10, BLOCKS.SAND] })
+  assert.equal(world.getBlock(10, 44, 10), BLOCKS.AIR)
+  assert.equal(world.getBlock(10, 43, 10), BLOCKS.SAND)
+  a.setBlock(12, 43, 12, BLOCKS.SAND)
+  assert.equal(world.getBlock(12, 43, 12), BLOCKS.AIR)
+})
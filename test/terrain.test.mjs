@@ -0,0 +1,62 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { Chunk } from '../js/chunk.js'
+import { TerrainGenerator, generateChunk, getTerrainHeight, parseSeed } from '../js/terrain.js'
+import { VoxelWorld } from '../js/voxelWorld.js'
+
+const CHUNKS = [[0, 0], [-1, -1], [3, -5], [-7, 2]]
+
+function generate(seed, cx, cz) {
+  const chunk = new Chunk(cx, cz)
+  generateChunk(new TerrainGenerator(seed), chunk)
+  return chunk.data
+}
+
+test('a seed always generates the same chunks', () => {
+  for (const [cx, cz] of CHUNKS) {
+    assert.deepEqual(generate(1234, cx, cz), generate(1234, cx, cz), `chunk ${cx}, ${cz}`)
+  }
+})
+
+test('chunks come out the same whatever order they are generated in', () => {
+  const generator = new TerrainGenerator(99)
+  const forward   = CHUNKS.map(([cx, cz]) => {
+    const chunk = new Chunk(cx, cz)
+    generateChunk(generator, chunk)
+    return chunk.data
+  })
+  const backward = [...CHUNKS].reverse().map(([cx, cz]) => generate(99, cx, cz)).reverse()
+  assert.deepEqual(forward, backward)
+})
+
+test('different seeds generate different terrain', () => {
+  assert.notDeepEqual(generate(1, 0, 0), generate(2, 0, 0))
+})
+
+test('worlds with the same seed load the same blocks and light', () => {
+  const a = new VoxelWorld(new TerrainGenerator(555))
+  const b = new VoxelWorld(new TerrainGenerator(555))
+  a.loadAround(-8, -8, 1)
+  b.loadAround(-8, -8, 1)
+  for (const [key, chunk] of a.chunks) {
+    assert.deepEqual(chunk.data, b.chunks.get(key).data, key)
+    assert.deepEqual(chunk.light, b.chunks.get(key).light, key)
+  }
+})
+
+test('surface heights depend on nothing but the seed', () => {
+  const world = new VoxelWorld(new TerrainGenerator(42))
+  for (let wx = -30; wx < 30; wx += 7) {
+    for (let wz = -30; wz < 30; wz += 7) {
+      assert.equal(world.getSurfaceHeight(wx, wz), getTerrainHeight(new TerrainGenerator(42), wx, wz))
+    }
+  }
+})
+
+test('typed seeds turn into the same number every time', () => {
+  assert.equal(parseSeed('42'), 42)
+  assert.equal(parseSeed(' -7 '), -7)
+  assert.equal(parseSeed('hello world'), parseSeed('hello world'))
+  assert.notEqual(parseSeed('hello world'), parseSeed('hello World'))
+  assert.ok(Number.isInteger(parseSeed('')))
+})
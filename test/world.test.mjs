@@ -0,0 +1,144 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { BLOCKS } from '../js/blocks.js'
+import { CHUNK_SIZE, CHUNK_HEIGHT } from '../js/chunk.js'
+import { emptyWorld, fill } from './helpers.mjs'
+
+// Chunk versions, bumped whenever a chunk needs a new mesh
+function versions(world) {
+  return new Map([...world.chunks].map(([key, chunk]) => [key, chunk.version]))
+}
+
+function changedChunks(world, before) {
+  return [...world.chunks].filter(([key, chunk]) => chunk.version !== before.get(key)).map(([key]) => key).sort()
+}
+
+test('an edit on a chunk border remeshes the neighbor that shows its face', () => {
+  const world = emptyWorld(-1, -1, 0, 0)
+
+  let before = versions(world)
+  world.setBlockWorld(0, 10, 5, BLOCKS.STONE)
+  assert.deepEqual(changedChunks(world, before), ['-1,0', '0,0'])
+
+  // In a corner, both neighbors it touches
+  before = versions(world)
+  world.setBlockWorld(-1, 10, -1, BLOCKS.STONE)
+  assert.deepEqual(changedChunks(world, before), ['-1,-1', '-1,0', '0,-1'])
+
+  before = versions(world)
+  world.setBlockWorld(8, 10, 8, BLOCKS.STONE)
+  assert.deepEqual(changedChunks(world, before), ['0,0'])
+})
+
+test('a batch remeshes each chunk it touched once', () => {
+  const world  = emptyWorld(-1, 0, 0, 0)
+  const before = versions(world)
+  fill(world, -4, 1, 2, 3, 4, 6, BLOCKS.DIRT)
+  for (const [key, chunk] of world.chunks) assert.equal(chunk.version, before.get(key) + 1, key)
+})
+
+test('edits are kept per chunk for saving', () => {
+  const world = emptyWorld(-1, -1, 0, 0)
+  world.dirty.clear()
+  world.setBlockWorld(-1, 5, 0, BLOCKS.STONE)
+  world.setBlockWorld(0, 5, -1, BLOCKS.STONE)
+  world.setBlockWorld(1, 5, -1, BLOCKS.STONE)
+
+  const saved = world.takeDirtyChunks().sort((a, b) => a.cx - b.cx || a.cz - b.cz)
+  assert.deepEqual(saved.map(({ cx, cz }) => [cx, cz]), [[-1, 0], [0, -1]])
+  assert.equal(saved[0].data, world.getChunk(-1, 0).data)
+  assert.equal(world.dirty.size, 0)
+})
+
+test('edits survive their chunk being unloaded and loaded again', () => {
+  const world = emptyWorld(-1, -1, 0, 0)
+  world.setBlockWorld(-3, 20, -7, BLOCKS.STONE)
+  world.unloadChunk(-1, -1)
+  assert.equal(world.getBlockWorld(-3, 20, -7), BLOCKS.AIR)
+  world.loadChunk(-1, -1)
+  assert.equal(world.getBlockWorld(-3, 20, -7), BLOCKS.STONE)
+})
+
+test('a transaction across chunks undoes and redoes as one edit', () => {
+  const world = emptyWorld(-1, -1, 0, 0)
+  world.setBlockWorld(-2, 3, 0, BLOCKS.DIRT)
+  const tx = world.transaction('fill', () => fill(world, -2, 1, -2, 1, 3, 1, BLOCKS.STONE))
+  assert.deepEqual([...tx.chunks].sort(), ['-1,-1', '-1,0', '0,-1', '0,0'])
+  assert.equal(world.getBlockWorld(-2, 3, 0), BLOCKS.STONE)
+
+  // Even with one of its chunks unloaded in the meantime
+  world.unloadChunk(0, -1)
+  world.undo()
+  assert.equal(world.getBlockWorld(-2, 3, 0), BLOCKS.DIRT)
+  assert.equal(world.getBlockWorld(1, 1, -2), BLOCKS.AIR)
+  assert.equal(world.getBlockWorld(-1, 2, -1), BLOCKS.AIR)
+
+  world.redo()
+  assert.equal(world.getBlockWorld(-2, 3, 0), BLOCKS.STONE)
+  assert.equal(world.getBlockWorld(1, 1, -2), BLOCKS.STONE)
+})
+
+test('a failed transaction leaves every chunk as it was', () => {
+  const world = emptyWorld(-1, 0, 0, 0)
+  assert.throws(() => world.transaction('fill', () => {
+    fill(world, -3, 1, 0, 3, 1, 0, BLOCKS.STONE)
+    throw new Error('boom')
+  }), /boom/)
+  for (let x = -3; x <= 3; x++) assert.equal(world.getBlockWorld(x, 1, 0), BLOCKS.AIR)
+  assert.equal(world.history.takeUndo(), null)
+})
+
+test('block light spreads across chunk borders and goes when its source does', () => {
+  const world = emptyWorld(-1, 0, 0, 0)
+  const blockLight = x => world.getLightWorld(x, 5, 8) & 15
+
+  world.setBlockWorld(-1, 5, 8, BLOCKS.TORCH)
+  assert.equal(blockLight(-1), 14)
+  assert.equal(blockLight(0), 13)
+  assert.equal(blockLight(2), 11)
+  assert.equal(blockLight(-4), 11)
+
+  world.setBlockWorld(-1, 5, 8, BLOCKS.AIR)
+  assert.equal(blockLight(-1), 0)
+  assert.equal(blockLight(2), 0)
+})
+
+test('sky light under a roof across a border comes in from the sides', () => {
+  const world = emptyWorld(-1, 0, 0, 0)
+  const skyLight = (x, y) => world.getLightWorld(x, y, 8) >> 4
+  assert.equal(skyLight(0, 5), 15)
+
+  fill(world, -4, 10, 4, 3, 10, 12, BLOCKS.STONE)
+  assert.equal(skyLight(0, 9), 11)
+  assert.equal(skyLight(-1, 9), 11)
+  assert.equal(skyLight(3, 9), 14)
+})
+
+test('saved chunks are read one at a time as they load, and not loaded before', async () => {
+  const world = emptyWorld(0, 0, 0, 0)
+  const saved = new Uint8Array(CHUNK_SIZE * CHUNK_HEIGHT * CHUNK_SIZE).fill(BLOCKS.STONE)
+  const read  = []
+  world.loadSaved = async (cx, cz) => {
+    read.push(`${cx},${cz}`)
+    return cx === 1 && cz === 0 ? saved : null
+  }
+
+  world.loadChunk(1, 0)
+  assert.equal(world.getChunk(1, 0), null)
+  await world.lookUp(1, 0)
+  world.loadChunk(1, 0)
+  assert.equal(world.getBlockWorld(20, 5, 3), BLOCKS.STONE)
+
+  await world.lookUpAround(8, 8)
+  world.loadAround(8, 8)
+  assert.equal(world.chunks.size, 9)
+  // Each chunk once; the test's own chunk was never looked up, being in memory
+  assert.deepEqual(read.sort(), ['-1,-1', '-1,0', '-1,1', '0,-1', '0,1', '1,-1', '1,0', '1,1'])
+
+  // An unsaved chunk is looked up again after it unloads; a saved one is kept
+  world.unloadChunk(0, 1)
+  world.unloadChunk(1, 0)
+  await world.lookUpAround(8, 8)
+  assert.equal(read.filter(key => key === '0,1').length, 2)
+  assert.equal(read.filter(key => key === '1,0').length, 1)
+})